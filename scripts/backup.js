@@ -0,0 +1,41 @@
+// Back up the whole knowledge base (or some workspaces) to a ZIP archive that
+// scripts/restore.js or POST /api/workspaces/restore can restore.
+// Usage: node scripts/backup.js [--out <file>] [--workspace <id>]...
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { createBackup } = require('../src/utils/backup');
+
+function parseArgs(argv) {
+  const options = { workspaces: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--workspace') options.workspaces.push(argv[++i]);
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (options.workspaces.some(id => !mongoose.isValidObjectId(id))) throw new Error('--workspace needs a workspace id');
+  if (!options.out) options.out = `knowledge-hub-backup-${new Date().toISOString().slice(0, 10)}.zip`;
+  return options;
+}
+
+async function backup(options) {
+  const { buffer, manifest } = await createBackup({ workspaces: options.workspaces.length ? options.workspaces : null });
+  fs.writeFileSync(options.out, buffer);
+  const counts = Object.entries(manifest.counts).map(([name, count]) => `${count} ${name}`).join(', ');
+  console.log(`Wrote ${options.out}: ${counts}`);
+}
+
+(async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await mongoose.connect(process.env.MONGODB_URI);
+    await backup(options);
+  } catch (err) {
+    console.error('Backup failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,41 @@
+// Build chunk embeddings for documents that have none yet
+// (documents created before chunk-level embeddings). Safe to run more than once.
+// Usage: node scripts/migrate-chunks.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Document = require('../src/models/Document');
+const DocumentChunk = require('../src/models/DocumentChunk');
+const { syncChunks } = require('../src/utils/chunks');
+const { getVectorIndex } = require('../src/vector');
+
+async function migrate() {
+  await getVectorIndex().init();
+  const chunked = await DocumentChunk.distinct('document');
+  const cursor = Document.find({ _id: { $nin: chunked } })
+    .select('_id workspace content format +plainText')
+    .cursor();
+
+  let documents = 0;
+  let chunks = 0;
+  for await (const doc of cursor) {
+    const result = await syncChunks(doc);
+    chunks += result.chunks;
+    documents += 1;
+  }
+
+  await getVectorIndex().flush();
+  console.log(`Embedded ${chunks} chunks for ${documents} documents`);
+}
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    await migrate();
+  } catch (err) {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,58 @@
+// Move version history embedded in documents (the old `versions` array)
+// into the DocumentVersion collection, then drop the embedded copies.
+// Safe to run more than once.
+// Usage: node scripts/migrate-embedded-versions.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Document = require('../src/models/Document');
+const DocumentVersion = require('../src/models/DocumentVersion');
+
+async function migrate() {
+  // The schema no longer knows about `versions`, so read the raw collection
+  const cursor = Document.collection.find(
+    { versions: { $exists: true } },
+    { projection: { versions: 1, workspace: 1, createdBy: 1 } }
+  );
+
+  let documents = 0;
+  let versions = 0;
+  for await (const doc of cursor) {
+    for (const version of doc.versions || []) {
+      const result = await DocumentVersion.updateOne(
+        { document: doc._id, versionNumber: version.versionNumber },
+        {
+          $setOnInsert: {
+            workspace: doc.workspace,
+            title: version.title,
+            content: version.content,
+            summary: version.summary || '',
+            tags: version.tags || [],
+            editedBy: version.editedBy || doc.createdBy,
+            changes: version.changes || {},
+            createdAt: version.createdAt || new Date(),
+            updatedAt: version.updatedAt || new Date()
+          }
+        },
+        { upsert: true, timestamps: false }
+      );
+      versions += result.upsertedCount;
+    }
+    await Document.collection.updateOne({ _id: doc._id }, { $unset: { versions: '' } });
+    documents += 1;
+  }
+
+  console.log(`Migrated ${versions} versions from ${documents} documents`);
+}
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    await migrate();
+  } catch (err) {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
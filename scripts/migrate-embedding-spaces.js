@@ -0,0 +1,68 @@
+// Tag embeddings stored before embedding spaces were recorded. Chunks and
+// documents without an embeddingSpace are assumed to come from the current
+// embedding model and are tagged with its space when their dimensions match;
+// the rest stay untagged and need `npm run reindex`. Safe to run more than once.
+// Usage: node scripts/migrate-embedding-spaces.js [--dimensions <n>]
+// Without --dimensions, one probe text is embedded to learn the model's size.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Document = require('../src/models/Document');
+const DocumentChunk = require('../src/models/DocumentChunk');
+const { embedText, embeddingModel } = require('../src/utils/ai');
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dimensions') options.dimensions = Number(argv[++i]);
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (options.dimensions !== undefined && !(Number.isInteger(options.dimensions) && options.dimensions >= 1)) {
+    throw new Error('--dimensions must be a positive integer');
+  }
+  return options;
+}
+
+// Untagged embeddings of exactly `dimensions` numbers
+function untagged(dimensions) {
+  return {
+    embeddingSpace: null,
+    embedding: { $type: 'array' },
+    $expr: { $eq: [{ $size: '$embedding' }, dimensions] }
+  };
+}
+
+async function tag(Model, space, dimensions) {
+  const result = await Model.updateMany(untagged(dimensions), { $set: { embeddingSpace: space } }, { timestamps: false });
+  const remaining = await Model.countDocuments({ embeddingSpace: null, embedding: { $type: 'array', $ne: [] } });
+  return { tagged: result.modifiedCount, remaining };
+}
+
+async function migrate(options) {
+  const dimensions = options.dimensions || (await embedText('embedding space probe')).length;
+  const { provider, model } = embeddingModel();
+  const space = `${provider}:${model}:${dimensions}`;
+  console.log(`Tagging untagged ${dimensions}-dimension embeddings as ${space}`);
+
+  const chunks = await tag(DocumentChunk, space, dimensions);
+  const documents = await tag(Document, space, dimensions);
+  console.log(`Tagged ${chunks.tagged} chunks and ${documents.tagged} documents`);
+  if (chunks.remaining || documents.remaining) {
+    console.log(`${chunks.remaining} chunks and ${documents.remaining} documents have other dimensions; run npm run reindex for them`);
+  }
+  console.log('Restart the server so the local vector index loads the tagged chunks');
+}
+
+(async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await mongoose.connect(process.env.MONGODB_URI);
+    await migrate(options);
+  } catch (err) {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,50 @@
+// Prepare documents created before content formats: mark them as plain text,
+// store their plain text, outline and reading metadata, and move the search
+// index from the raw content to the plain text. Safe to run more than once.
+// Usage: node scripts/migrate-formats.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Document = require('../src/models/Document');
+const { contentMetadata } = require('../src/utils/content');
+
+const OLD_TEXT_INDEX = 'title_text_content_text_summary_text_tags_text';
+
+async function migrate() {
+  const indexes = await Document.collection.indexes();
+  if (indexes.some(index => index.name === OLD_TEXT_INDEX)) {
+    await Document.collection.dropIndex(OLD_TEXT_INDEX);
+    console.log(`Dropped text index ${OLD_TEXT_INDEX}`);
+  }
+
+  const cursor = Document.find({ $or: [{ format: { $exists: false } }, { plainText: { $exists: false } }] })
+    .select('_id content format')
+    .lean()
+    .cursor();
+
+  let documents = 0;
+  for await (const doc of cursor) {
+    const format = doc.format || 'plain';
+    await Document.updateOne(
+      { _id: doc._id },
+      { $set: { format, ...contentMetadata(doc.content, format) } },
+      { timestamps: false }
+    );
+    documents += 1;
+  }
+
+  await Document.createIndexes();
+  console.log(`Prepared ${documents} documents`);
+}
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    await migrate();
+  } catch (err) {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
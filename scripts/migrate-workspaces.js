@@ -0,0 +1,54 @@
+// Assign documents and activity created before workspaces existed to the
+// personal workspace of the document's creator.
+// Usage: node scripts/migrate-workspaces.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Document = require('../src/models/Document');
+const Activity = require('../src/models/Activity');
+const User = require('../src/models/User');
+const Workspace = require('../src/models/Workspace');
+
+async function migrate() {
+  const orphans = await Document.find({ workspace: { $exists: false } }).select('_id createdBy').lean();
+  console.log(`Found ${orphans.length} documents without a workspace`);
+
+  const workspaceByUser = new Map();
+  for (const doc of orphans) {
+    const key = String(doc.createdBy);
+    if (!workspaceByUser.has(key)) {
+      const user = await User.findById(doc.createdBy);
+      if (!user) {
+        console.warn(`Skipping document ${doc._id}: creator ${key} not found`);
+        continue;
+      }
+      const workspace = await Workspace.ensurePersonal(user);
+      if (!user.defaultWorkspace) {
+        user.defaultWorkspace = workspace._id;
+        await user.save();
+      }
+      workspaceByUser.set(key, workspace._id);
+    }
+
+    const workspaceId = workspaceByUser.get(key);
+    await Document.updateOne({ _id: doc._id }, { $set: { workspace: workspaceId } });
+    await Activity.updateMany(
+      { document: doc._id, workspace: { $exists: false } },
+      { $set: { workspace: workspaceId } }
+    );
+  }
+
+  console.log('Workspace migration complete');
+}
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    await migrate();
+  } catch (err) {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,102 @@
+// Re-embed the corpus in the current embedding space, e.g. after changing the
+// embedding provider or model. Runs the same job as POST /api/jobs/reindex, in
+// this process, printing progress after each batch.
+// Usage: node scripts/reindex.js [--workspace <id>] [--summarize] [--tags replace|merge]
+//          [--force] [--batch-size <n>] [--resume <job id>]
+// Ctrl-C stops after the current batch; continue with --resume <job id>.
+const os = require('os');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Job = require('../src/models/Job');
+const queue = require('../src/jobs/queue');
+const { reindexCorpus, activeReindex, enqueueReindex, embeddingStatus } = require('../src/jobs/reindexCorpus');
+const { getVectorIndex } = require('../src/vector');
+
+function parseArgs(argv) {
+  const options = { summarize: false, tags: 'keep', force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--summarize') options.summarize = true;
+    else if (arg === '--force') options.force = true;
+    else if (arg === '--workspace') options.workspace = argv[++i];
+    else if (arg === '--tags') options.tags = argv[++i];
+    else if (arg === '--batch-size') options.batchSize = Number(argv[++i]);
+    else if (arg === '--resume') options.resume = argv[++i];
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!['keep', 'replace', 'merge'].includes(options.tags)) throw new Error('--tags must be keep, replace or merge');
+  if (options.batchSize !== undefined && !(options.batchSize >= 1)) throw new Error('--batch-size must be at least 1');
+  return options;
+}
+
+// The job to run: the one being resumed, or a new one
+async function prepareJob(options) {
+  if (options.resume) {
+    const job = await Job.findById(options.resume);
+    if (!job) throw new Error(`Job ${options.resume} not found`);
+    if (job.status === 'done') throw new Error(`Job ${job._id} already finished`);
+    if (job.status === 'running') throw new Error(`Job ${job._id} is running on ${job.lockedBy}`);
+    if (job.status === 'failed') await queue.retry(job);
+    return job;
+  }
+
+  const active = await activeReindex();
+  if (active) throw new Error(`Re-index ${active._id} is already ${active.status}; continue it with --resume ${active._id}`);
+  const { resume, ...settings } = options;
+  return enqueueReindex(null, settings);
+}
+
+async function reindex(options) {
+  await getVectorIndex().init();
+  const status = await embeddingStatus();
+  console.log(`Embedding with ${status.provider}:${status.model}`);
+
+  const prepared = await prepareJob(options);
+  const job = await queue.claim(prepared._id, `cli:${os.hostname()}:${process.pid}`);
+  if (!job) {
+    console.log(`Job ${prepared._id} was picked up by a server worker; follow it with GET /api/jobs/${prepared._id}`);
+    return;
+  }
+  console.log(`Re-index job ${job._id}${job.progress ? ' (resuming)' : ''}`);
+
+  let interrupted = false;
+  process.once('SIGINT', () => {
+    interrupted = true;
+    console.log('Stopping after the current batch...');
+  });
+
+  try {
+    const result = await reindexCorpus(job, {
+      onProgress: (progress) => {
+        console.log(`${progress.processed}/${progress.total} documents, ${progress.embedded} chunks embedded, ${progress.reused} reused, ${progress.failures.length} failed`);
+        if (interrupted) throw Object.assign(new Error('Interrupted from the command line'), { permanent: true });
+      }
+    });
+    await queue.complete(job, result);
+    for (const failure of job.progress ? job.progress.failures : []) {
+      console.warn(`Failed: ${failure.document} (${failure.title}): ${failure.error}`);
+    }
+    console.log(`Done: ${result.processed}/${result.total} documents, ${result.embedded} chunks embedded, ${result.failed} failed`);
+  } catch (err) {
+    await queue.fail(job, err);
+    console.error(`Re-index stopped: ${err.message}`);
+    console.error(`Continue with: node scripts/reindex.js --resume ${job._id}`);
+    process.exitCode = 1;
+  } finally {
+    await getVectorIndex().flush();
+  }
+}
+
+(async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await mongoose.connect(process.env.MONGODB_URI);
+    await reindex(options);
+  } catch (err) {
+    console.error('Re-index failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,51 @@
+// Restore a backup archive made by scripts/backup.js or a workspace export,
+// e.g. into a fresh instance. Every record gets a new id. Users are matched by
+// email; missing users are created and sign in by resetting their password.
+// Usage: node scripts/restore.js <file> [--owner <email>]
+//   --owner  attribute content of missing users to this existing user instead
+//            of creating them; they also own the restored workspaces
+const fs = require('fs');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../src/models/User');
+const { restoreBackup } = require('../src/utils/backup');
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--owner') options.owner = argv[++i];
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.file = arg;
+  }
+  if (!options.file) throw new Error('Usage: node scripts/restore.js <file> [--owner <email>]');
+  return options;
+}
+
+async function restore(options) {
+  let owner = null;
+  if (options.owner) {
+    owner = await User.findOne({ email: options.owner.toLowerCase() });
+    if (!owner) throw new Error(`User ${options.owner} not found`);
+  }
+
+  const report = await restoreBackup(fs.readFileSync(options.file), { user: owner, matchUsers: true, createUsers: !owner });
+  for (const workspace of report.workspaces) console.log(`Restored workspace "${workspace.name}" as ${workspace.id}`);
+  console.log(`Users: ${report.users.matched} matched, ${report.users.created} created, ${report.users.replaced} replaced`);
+  console.log(`Restored ${report.documents} documents, ${report.versions} versions and ${report.activity} activity entries`);
+  console.log('Embeddings are rebuilt by enrichment jobs once a server is running');
+}
+
+(async () => {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await mongoose.connect(process.env.MONGODB_URI);
+    await restore(options);
+  } catch (err) {
+    console.error('Restore failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
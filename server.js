@@ -8,6 +8,14 @@ const authRoutes = require('./src/routes/auth.routes');
 const documentRoutes = require('./src/routes/document.routes');
 const searchRoutes = require('./src/routes/search.routes');
 const aiRoutes = require('./src/routes/ai.routes');
+const workspaceRoutes = require('./src/routes/workspace.routes');
+const apiKeyRoutes = require('./src/routes/apiKey.routes');
+const realtimeRoutes = require('./src/routes/realtime.routes');
+const jobRoutes = require('./src/routes/job.routes');
+const trashPurger = require('./src/jobs/trashPurger');
+const jobWorker = require('./src/jobs/worker');
+const { getVectorIndex } = require('./src/vector');
+const mailer = require('./src/utils/mailer');
 
 const app = express();
 
@@ -19,7 +27,8 @@ const corsOptions = {
     /\.onrender\.com$/  // Allow all Render subdomains
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Workspace-Id', 'X-API-Key', 'If-Match'],
+  exposedHeaders: ['ETag'],
   credentials: true
 };
 
@@ -38,6 +47,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -61,6 +74,10 @@ const PORT = process.env.PORT || 5000;
 
 async function start() {
   try {
+    // Fail at startup rather than on the first email when mail is misconfigured
+    const transport = mailer.getTransport();
+    console.log(` Mail transport: ${transport.name}`);
+
     const mongoUri = process.env.MONGODB_URI;
     if (!mongoUri) {
       console.warn('MONGODB_URI not set. Set it in server/.env');
@@ -70,6 +87,9 @@ async function start() {
         useUnifiedTopology: true,
       });
       console.log(' MongoDB connected');
+      trashPurger.start();
+      jobWorker.start();
+      getVectorIndex().init().catch(err => console.error('Error loading vector index:', err));
     }
 
     app.listen(PORT, () => {
@@ -84,6 +104,18 @@ async function start() {
 
 start();
 
+// Save pending vector index changes before exiting
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, async () => {
+    try {
+      await getVectorIndex().flush();
+    } catch (err) {
+      console.error('Error saving vector index:', err);
+    }
+    process.exit(0);
+  });
+});
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('Unhandled Rejection:', err);
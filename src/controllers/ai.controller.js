@@ -1,16 +1,337 @@
-const Document = require('../models/Document');
-const { answerQuestion } = require('../utils/gemini');
+const Conversation = require('../models/Conversation');
+const AiUsage = require('../models/AiUsage');
+const { answerQuestion, streamAnswer, rewriteQuestion, extractCitations } = require('../utils/ai');
+const { retrieveContext, trimHistory } = require('../utils/retrieval');
+const { initStream, writeEvent, wantsStream } = require('../utils/sse');
+const { usageContext, quotaStatus, periodStart } = require('../utils/usage');
+const aiCache = require('../utils/aiCache');
+
+const TITLE_LENGTH = 80;
+
+// Sources handed to the model, as returned to the client
+function describeSources(sources) {
+  return sources.map(src => ({ id: src.id, documentId: src.documentId, title: src.title, score: src.score }));
+}
+
+// Stream the answer as Server-Sent Events: "token" events while generating,
+// then a "done" event with the full answer, citations and sources.
+// `onDone(answer, citations)` may return extra fields for the "done" event.
+async function streamQA(req, res, question, sources, { history = [], onDone } = {}) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  initStream(res);
+  let answer = '';
+  try {
+    for await (const text of streamAnswer(question, sources, { signal: controller.signal, history, usage: usageContext(req) })) {
+      answer += text;
+      writeEvent(res, 'token', { text });
+    }
+    if (controller.signal.aborted) return;
+    const citations = extractCitations(answer, sources);
+    const extra = onDone ? await onDone(answer, citations) : {};
+    writeEvent(res, 'done', {
+      answer,
+      citations,
+      sources: describeSources(sources),
+      ...extra
+    });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    writeEvent(res, 'error', { message: 'Q&A failed', error: err.message });
+  }
+  res.end();
+}
 
 exports.teamQA = async (req, res) => {
   try {
     const { question } = req.body;
     if (!question) return res.status(400).json({ message: 'Question is required' });
 
-    // For context, use the most recent docs
-    const docs = await Document.find({}).sort({ updatedAt: -1 }).limit(10);
-    const answer = await answerQuestion(question, docs);
-    res.json({ answer });
+    // Context: the passages most relevant to the question that the user can see
+    const { sources } = await retrieveContext(req, question);
+
+    if (wantsStream(req)) return streamQA(req, res, question, sources);
+
+    const answer = await answerQuestion(question, sources, { usage: usageContext(req) });
+    res.json({
+      answer,
+      citations: extractCitations(answer, sources),
+      sources: describeSources(sources)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Q&A failed', error: err.message });
+  }
+};
+
+// --- Conversations ---
+
+function findConversation(req) {
+  return Conversation.findOne({ _id: req.params.id, user: req.user._id, workspace: req.workspace._id });
+}
+
+function serializeConversation(conversation, { messages = true } = {}) {
+  const out = {
+    _id: conversation._id,
+    title: conversation.title,
+    messageCount: conversation.messages.length,
+    lastMessageAt: conversation.lastMessageAt,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt
+  };
+  if (messages) out.messages = conversation.messages;
+  return out;
+}
+
+// Answer a question within a conversation and store both turns.
+// Retrieval uses the question rewritten to stand on its own; the model also
+// sees the (trimmed) earlier turns so it can answer in context.
+async function askInConversation(req, res, conversation, question, status = 200) {
+  const history = trimHistory(conversation.messages.map(m => ({
+    role: m.role,
+    content: m.content,
+    rewrittenQuestion: m.rewrittenQuestion
+  })));
+  const standalone = await rewriteQuestion(question, history, { usage: usageContext(req) });
+  const { sources } = await retrieveContext(req, standalone);
+
+  // An empty answer is not stored (a message needs content); the turn can simply
+  // be asked again. A new conversation is still saved so its id stays valid.
+  const record = async (answer, citations) => {
+    const recorded = Boolean(answer && answer.trim());
+    if (recorded) {
+      conversation.messages.push(
+        { role: 'user', content: question, rewrittenQuestion: standalone !== question ? standalone : null },
+        {
+          role: 'assistant',
+          content: answer,
+          sources: sources.map(({ id, documentId, title, passages }) => ({ id, documentId, title, passages })),
+          citations: citations.map(c => c.id)
+        }
+      );
+      conversation.lastMessageAt = new Date();
+    }
+    if (recorded || conversation.isNew) await conversation.save();
+    return {
+      conversation: serializeConversation(conversation, { messages: false }),
+      rewrittenQuestion: standalone,
+      recorded
+    };
+  };
+
+  if (wantsStream(req)) return streamQA(req, res, question, sources, { history, onDone: record });
+
+  const answer = await answerQuestion(question, sources, { history, usage: usageContext(req) });
+  const citations = extractCitations(answer, sources);
+  const extra = await record(answer, citations);
+  res.status(status).json({
+    answer,
+    citations,
+    sources: describeSources(sources),
+    ...extra
+  });
+}
+
+exports.listConversations = async (req, res) => {
+  try {
+    const { limit = 20, page = 1 } = req.query;
+    const conversations = await Conversation.find({ user: req.user._id, workspace: req.workspace._id })
+      .select({ title: 1, lastMessageAt: 1, createdAt: 1, updatedAt: 1, messages: { $slice: -1 } })
+      .sort({ lastMessageAt: -1 })
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit));
+    res.json(conversations.map(c => ({
+      ...serializeConversation(c, { messages: false }),
+      lastMessage: c.messages[0] ? c.messages[0].content : null
+    })));
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching conversations', error: err.message });
+  }
+};
+
+exports.startConversation = async (req, res) => {
+  try {
+    const { question, title } = req.body;
+    const conversation = new Conversation({
+      user: req.user._id,
+      workspace: req.workspace._id,
+      title: title || (question ? question.slice(0, TITLE_LENGTH) : undefined)
+    });
+
+    if (!question) {
+      await conversation.save();
+      return res.status(201).json(serializeConversation(conversation));
+    }
+    await askInConversation(req, res, conversation, question, 201);
+  } catch (err) {
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: 'Error starting conversation', error: err.message });
+  }
+};
+
+exports.getConversation = async (req, res) => {
+  try {
+    const conversation = await findConversation(req);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+    res.json(serializeConversation(conversation));
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching conversation', error: err.message });
+  }
+};
+
+exports.continueConversation = async (req, res) => {
+  try {
+    const { question } = req.body;
+    if (!question) return res.status(400).json({ message: 'Question is required' });
+
+    const conversation = await findConversation(req);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+
+    await askInConversation(req, res, conversation, question);
   } catch (err) {
+    if (res.headersSent) return res.end();
     res.status(500).json({ message: 'Q&A failed', error: err.message });
   }
 };
+
+exports.renameConversation = async (req, res) => {
+  try {
+    const title = (req.body.title || '').trim();
+    if (!title) return res.status(400).json({ message: 'Title is required' });
+
+    const conversation = await findConversation(req);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+
+    conversation.title = title;
+    await conversation.save();
+    res.json(serializeConversation(conversation, { messages: false }));
+  } catch (err) {
+    res.status(500).json({ message: 'Error renaming conversation', error: err.message });
+  }
+};
+
+exports.deleteConversation = async (req, res) => {
+  try {
+    const conversation = await findConversation(req);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+
+    await conversation.deleteOne();
+    res.json({ message: 'Conversation deleted' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error deleting conversation', error: err.message });
+  }
+};
+
+// The caller's AI usage this month and where it stands against the quotas
+exports.getUsage = async (req, res) => {
+  try {
+    const since = periodStart('month');
+    const byOperation = await AiUsage.aggregate([
+      { $match: { user: req.user._id, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$operation',
+          calls: { $sum: 1 },
+          tokens: { $sum: '$totalTokens' },
+          costUsd: { $sum: '$costUsd' }
+        }
+      },
+      { $sort: { tokens: -1 } }
+    ]);
+    res.json({
+      quotas: await quotaStatus(usageContext(req)),
+      since,
+      operations: byOperation.map(({ _id, ...totals }) => ({ operation: _id, ...totals }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching AI usage', error: err.message });
+  }
+};
+
+const REPORT_GROUPS = {
+  user: '$user',
+  workspace: '$workspace',
+  model: '$model',
+  operation: '$operation',
+  provider: '$provider',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+};
+const REPORT_NAMES = { user: ['users', 'name'], workspace: ['workspaces', 'name'] };
+
+// Usage and cost across the deployment (admins only), grouped by
+// user, workspace, model, operation, provider or day
+exports.usageReport = async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'user';
+    if (!REPORT_GROUPS[groupBy]) {
+      return res.status(400).json({ message: `groupBy must be one of: ${Object.keys(REPORT_GROUPS).join(', ')}` });
+    }
+    const from = req.query.from ? new Date(req.query.from) : periodStart('month');
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+
+    const pipeline = [
+      { $match: { createdAt: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: REPORT_GROUPS[groupBy],
+          calls: { $sum: 1 },
+          errors: { $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] } },
+          inputTokens: { $sum: '$inputTokens' },
+          outputTokens: { $sum: '$outputTokens' },
+          tokens: { $sum: '$totalTokens' },
+          costUsd: { $sum: '$costUsd' }
+        }
+      },
+      { $sort: groupBy === 'day' ? { _id: 1 } : { tokens: -1 } }
+    ];
+    if (REPORT_NAMES[groupBy]) {
+      const [collection, field] = REPORT_NAMES[groupBy];
+      pipeline.push(
+        { $lookup: { from: collection, localField: '_id', foreignField: '_id', as: 'subject' } },
+        { $addFields: { name: { $arrayElemAt: [`$subject.${field}`, 0] } } },
+        { $project: { subject: 0 } }
+      );
+    }
+
+    const rows = await AiUsage.aggregate(pipeline);
+    const totals = rows.reduce((sum, row) => ({
+      calls: sum.calls + row.calls,
+      tokens: sum.tokens + row.tokens,
+      costUsd: sum.costUsd + row.costUsd
+    }), { calls: 0, tokens: 0, costUsd: 0 });
+
+    res.json({
+      from,
+      to,
+      groupBy,
+      totals,
+      rows: rows.map(({ _id, ...row }) => ({ [groupBy]: _id, ...row }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error building AI usage report', error: err.message });
+  }
+};
+
+// AI result cache: hit/miss counts of this process and what each tier holds (admins only)
+exports.getCacheStats = async (req, res) => {
+  try {
+    res.json(await aiCache.cacheStats());
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching AI cache stats', error: err.message });
+  }
+};
+
+// Empty the AI result cache, or only the entries of ?operation=
+exports.clearCache = async (req, res) => {
+  try {
+    await aiCache.clearCache(req.query.operation || null);
+    res.json({ message: 'AI cache cleared' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error clearing AI cache', error: err.message });
+  }
+};
@@ -0,0 +1,93 @@
+const ApiKey = require('../models/ApiKey');
+
+function serializeKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt,
+    active: apiKey.isActive(),
+    createdAt: apiKey.createdAt
+  };
+}
+
+function invalidScopes(scopes) {
+  return scopes.filter(s => !ApiKey.SCOPES.includes(s));
+}
+
+exports.listApiKeys = async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json({ apiKeys: keys.map(serializeKey), availableScopes: ApiKey.SCOPES });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch API keys', error: err.message });
+  }
+};
+
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes = [], expiresAt, expiresInDays } = req.body;
+    if (!name) return res.status(400).json({ message: 'Name is required' });
+    if (!Array.isArray(scopes) || !scopes.length) {
+      return res.status(400).json({ message: 'At least one scope is required' });
+    }
+    const unknown = invalidScopes(scopes);
+    if (unknown.length) return res.status(400).json({ message: `Unknown scopes: ${unknown.join(', ')}` });
+
+    let expiry = null;
+    if (expiresAt) expiry = new Date(expiresAt);
+    else if (expiresInDays) expiry = new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000);
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+      return res.status(400).json({ message: 'Expiry must be a future date' });
+    }
+
+    const { record, key } = await ApiKey.generate({
+      user: req.user._id,
+      name,
+      scopes: Array.from(new Set(scopes)),
+      expiresAt: expiry
+    });
+
+    // The plain key is only ever returned here
+    res.status(201).json({ ...serializeKey(record), key });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create API key', error: err.message });
+  }
+};
+
+exports.updateApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+    if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+
+    const { name, scopes } = req.body;
+    if (name !== undefined) apiKey.name = name;
+    if (scopes !== undefined) {
+      const unknown = Array.isArray(scopes) ? invalidScopes(scopes) : ['(not an array)'];
+      if (unknown.length) return res.status(400).json({ message: `Unknown scopes: ${unknown.join(', ')}` });
+      apiKey.scopes = Array.from(new Set(scopes));
+    }
+    await apiKey.save();
+    res.json(serializeKey(apiKey));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update API key', error: err.message });
+  }
+};
+
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+    if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+    res.json({ message: 'API key revoked' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to revoke API key', error: err.message });
+  }
+};
@@ -1,8 +1,33 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/mailer');
+const {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken
+} = require('../utils/tokens');
 
-function signToken(user) {
-  return jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const VERIFY_TOKEN_TTL_MS = 48 * 60 * 60 * 1000;
+
+async function sendVerification(user) {
+  const token = await UserToken.issue(user._id, 'email_verification', VERIFY_TOKEN_TTL_MS);
+  await sendVerificationEmail(user, token);
+}
+
+function serializeUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    defaultWorkspace: user.defaultWorkspace
+  };
 }
 
 exports.register = async (req, res) => {
@@ -23,10 +48,20 @@ exports.register = async (req, res) => {
     }
 
     const user = await User.create({ name, email, password, role: finalRole });
-    const token = signToken(user);
+    const workspace = await Workspace.ensurePersonal(user);
+    user.defaultWorkspace = workspace._id;
+    await user.save();
+    try {
+      await sendVerification(user);
+    } catch (mailErr) {
+      console.error('Error sending verification email:', mailErr);
+    }
+    const { token, refreshToken } = await createSession(user, req);
     res.status(201).json({
-      user: { id: user._id, name: user.name, email: user.email, role: user.role },
+      user: serializeUser(user),
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
     });
   } catch (err) {
     res.status(500).json({ message: 'Registration failed', error: err.message });
@@ -41,10 +76,12 @@ exports.login = async (req, res) => {
     const ok = await user.comparePassword(password);
     if (!ok) return res.status(401).json({ message: 'Invalid credentials' });
 
-    const token = signToken(user);
+    const { token, refreshToken } = await createSession(user, req);
     res.json({
-      user: { id: user._id, name: user.name, email: user.email, role: user.role },
+      user: serializeUser(user),
       token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
     });
   } catch (err) {
     res.status(500).json({ message: 'Login failed', error: err.message });
@@ -54,3 +91,191 @@ exports.login = async (req, res) => {
 exports.me = async (req, res) => {
   res.json({ user: req.user });
 };
+
+// Exchange a refresh token for a new access/refresh token pair
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: 'Refresh token is required' });
+
+    const rotated = await rotateSession(refreshToken, req);
+    const user = await User.findById(rotated.session.user).select('-password');
+    if (!user) {
+      await rotated.session.revoke('user_removed');
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json({
+      user: serializeUser(user),
+      token: signAccessToken(user, rotated.session),
+      refreshToken: rotated.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+    });
+  } catch (err) {
+    if (err.status === 401) return res.status(401).json({ message: err.message });
+    res.status(500).json({ message: 'Token refresh failed', error: err.message });
+  }
+};
+
+// End the session a refresh token belongs to
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: 'Refresh token is required' });
+
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (session && !session.revokedAt) await session.revoke('logout');
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    res.status(500).json({ message: 'Logout failed', error: err.message });
+  }
+};
+
+// End every session of the current user
+exports.logoutAll = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id);
+    res.json({ message: 'Logged out of all sessions', revoked: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ message: 'Logout failed', error: err.message });
+  }
+};
+
+exports.listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 }).lean();
+
+    res.json({
+      sessions: sessions.map(s => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: String(s._id) === String(req.authSession._id)
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch sessions', error: err.message });
+  }
+};
+
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+    if (!session.revokedAt) await session.revoke('revoked_by_user');
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to revoke session', error: err.message });
+  }
+};
+
+// Email a password reset link. Always answers the same way so the endpoint
+// cannot be used to find out which emails are registered.
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: 'Email is required' });
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      const token = await UserToken.issue(user._id, 'password_reset', RESET_TOKEN_TTL_MS);
+      // A delivery failure must look the same as an unknown address
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (err) {
+        console.error('Error sending password reset email:', err);
+      }
+    }
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (err) {
+    res.status(500).json({ message: 'Password reset request failed', error: err.message });
+  }
+};
+
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) return res.status(400).json({ message: 'Token and password are required' });
+
+    const record = await UserToken.consume(token, 'password_reset');
+    if (!record) return res.status(400).json({ message: 'Invalid or expired token' });
+
+    const user = await User.findById(record.user);
+    if (!user) return res.status(400).json({ message: 'Invalid or expired token' });
+
+    user.password = password;
+    // Receiving the reset email proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({ message: 'Password has been reset' });
+  } catch (err) {
+    res.status(500).json({ message: 'Password reset failed', error: err.message });
+  }
+};
+
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ message: 'Token is required' });
+
+    const record = await UserToken.consume(token, 'email_verification');
+    if (!record) return res.status(400).json({ message: 'Invalid or expired token' });
+
+    await User.updateOne(
+      { _id: record.user },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+    res.json({ message: 'Email verified' });
+  } catch (err) {
+    res.status(500).json({ message: 'Email verification failed', error: err.message });
+  }
+};
+
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) return res.status(400).json({ message: 'Email already verified' });
+    await sendVerification(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to send verification email', error: err.message });
+  }
+};
+
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const ok = await user.comparePassword(currentPassword);
+    if (!ok) return res.status(401).json({ message: 'Current password is incorrect' });
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other session; the current one stays logged in
+    await Session.updateMany(
+      { user: user._id, revokedAt: null, _id: { $ne: req.authSession._id } },
+      { $set: { revokedAt: new Date(), revokedReason: 'password_changed' } }
+    );
+
+    // Access tokens issued before the change are rejected, so hand out a new one
+    res.json({ message: 'Password changed', token: signAccessToken(user, req.authSession) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to change password', error: err.message });
+  }
+};
@@ -1,36 +1,53 @@
 const Document = require('../models/Document');
 const Activity = require('../models/Activity');
-const { summarizeText, generateTags, embedText } = require('../utils/gemini');
+const DocumentVersion = require('../models/DocumentVersion');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { summarizeText, generateTags } = require('../utils/ai');
+const { documentRole, canAccess, accessFilter, isWorkspaceManager } = require('../utils/access');
+const { logActivity } = require('../utils/activity');
+const { purgeDocument, TRASH_RETENTION_DAYS } = require('../utils/trash');
+const { compareSnapshots } = require('../utils/versionDiff');
+const { mergeDocumentEdit } = require('../utils/merge');
+const { usageContext } = require('../utils/usage');
+const { FORMATS, sanitizeHtml, processContent, documentText } = require('../utils/content');
+const { parseFile, expandUpload } = require('../utils/importer');
+const { exportFileName, documentMarkdown, documentJson } = require('../utils/backup');
+const { escapeRegExp } = require('../utils/snippets');
+const { enqueueEnrichment } = require('../jobs/enrichDocument');
+const worker = require('../jobs/worker');
 const { default: mongoose } = require('mongoose');
 
+const VISIBILITIES = Document.schema.path('visibility').enumValues;
+
 // Helpers
-function canModify(user, doc) {
-  return user.role === 'admin' || String(doc.createdBy) === String(user._id);
+function canModify(req, doc) {
+  return canAccess(req, doc, 'editor');
 }
 
-// Helper to log activity
-async function logActivity(action, document, user, versionNumber = null, changes = {}) {
-  try {
-    await Activity.create({
-      action,
-      document: document._id,
-      documentTitle: document.title,
-      versionNumber: versionNumber || document.currentVersion,
-      user: user._id,
-      changes: {
-        title: changes.title || false,
-        content: changes.content || false,
-        tags: changes.tags || false,
-        summary: changes.summary || false
-      },
-      metadata: {
-        previousVersion: changes.previousVersion || null,
-        newVersion: changes.newVersion || null
-      }
-    });
-  } catch (error) {
-    console.error('Error logging activity:', error);
+function canCreate(req) {
+  return req.workspaceRole !== 'viewer';
+}
+
+// ETag for a document, derived from its version number
+function etagFor(doc) {
+  return `"${doc.currentVersion}"`;
+}
+
+// Version the client edited, from If-Match or body.baseVersion (null = not sent)
+function baseVersionOf(req) {
+  const header = req.headers['if-match'];
+  if (header && header.trim() !== '*') {
+    const value = parseInt(header.trim().replace(/^W\//, '').replace(/"/g, ''));
+    return Number.isInteger(value) ? value : NaN;
   }
+  if (req.body.baseVersion !== undefined) return parseInt(req.body.baseVersion);
+  return null;
+}
+
+// Restrict a filter to the active workspace
+function inWorkspace(req, filter = {}) {
+  return { ...filter, workspace: req.workspace._id };
 }
 
 exports.createDocument = async (req, res) => {
@@ -38,41 +55,54 @@ exports.createDocument = async (req, res) => {
   session.startTransaction();
   
   try {
-    const { title, content, tags } = req.body;
+    const { title, content, tags, visibility, format, folder } = req.body;
     if (!title || !content) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({ message: 'Title and content are required' });
     }
+    if (format !== undefined && !FORMATS.includes(format)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: `format must be one of: ${FORMATS.join(', ')}` });
+    }
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: `visibility must be one of: ${VISIBILITIES.join(', ')}` });
+    }
+    if (!canCreate(req)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ message: 'Forbidden' });
+    }
 
-    // AI assist
-    const [summary, autoTags, embedding] = await Promise.all([
-      summarizeText(content),
-      generateTags(`${title}\n${content}`, 6),
-      embedText(`${title}\n${content}`),
-    ]);
-
-    // Create the document
+    // Create the document; summary, tags and embeddings are filled in by the enrichment job
     const doc = new Document({
       title,
       content,
-      summary,
-      tags: tags || autoTags,
-      embedding,
+      format,
+      folder,
+      tags: tags || [],
+      visibility,
+      workspace: req.workspace._id,
       createdBy: req.user._id,
       lastUpdatedBy: req.user._id
     });
 
     await doc.save({ session });
+    await enqueueEnrichment(doc, req.user, { tags: tags ? 'keep' : 'replace' }, session);
     
     // Log the creation activity
     await logActivity('created', doc, req.user);
     
     await session.commitTransaction();
     session.endSession();
+    worker.notify();
     
-    // Return the document with versions populated
+    // Return the document with its authors populated
     const savedDoc = await Document.findById(doc._id).populate('createdBy', 'name email').populate('lastUpdatedBy', 'name email');
+    res.set('ETag', etagFor(savedDoc));
     res.status(201).json(savedDoc);
   } catch (err) {
     await session.abortTransaction();
@@ -82,11 +112,110 @@ exports.createDocument = async (req, res) => {
   }
 };
 
+// Create one imported document with its activity and a queued enrichment job
+async function createImported(req, fields) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const doc = new Document({
+      ...fields,
+      workspace: req.workspace._id,
+      createdBy: req.user._id,
+      lastUpdatedBy: req.user._id
+    });
+    await doc.save({ session });
+    await enqueueEnrichment(doc, req.user, { tags: fields.tags.length ? 'keep' : 'replace' }, session);
+    await session.commitTransaction();
+    session.endSession();
+    await logActivity('created', doc, req.user);
+    return doc;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+// Import uploaded Markdown, HTML and text files, or ZIP archives of them.
+// Every file is reported on its own; with dryRun nothing is saved.
+// Summaries, tags and embeddings are filled in by enrichment jobs afterwards.
+exports.importDocuments = async (req, res) => {
+  try {
+    if (!canCreate(req)) return res.status(403).json({ message: 'Forbidden' });
+    if (!req.files || !req.files.length) return res.status(400).json({ message: 'No files uploaded' });
+
+    const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+    const { folder = '', visibility } = req.body;
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: `visibility must be one of: ${VISIBILITIES.join(', ')}` });
+    }
+
+    let files;
+    try {
+      files = expandUpload(req.files);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      throw err;
+    }
+
+    const results = [];
+    for (const file of files) {
+      let fields;
+      try {
+        fields = { ...parseFile(file.path, file.buffer, { folder }), visibility };
+      } catch (err) {
+        results.push({ path: file.path, status: err.skipped ? 'skipped' : 'failed', error: err.message });
+        continue;
+      }
+      try {
+        if (dryRun) {
+          const doc = new Document({ ...fields, workspace: req.workspace._id, createdBy: req.user._id });
+          await doc.validate();
+          results.push({
+            path: file.path,
+            status: 'valid',
+            title: doc.title,
+            format: doc.format,
+            folder: doc.folder,
+            tags: doc.tags,
+            wordCount: doc.wordCount
+          });
+        } else {
+          const doc = await createImported(req, fields);
+          results.push({
+            path: file.path,
+            status: 'created',
+            documentId: doc._id,
+            title: doc.title,
+            format: doc.format,
+            folder: doc.folder,
+            tags: doc.tags
+          });
+        }
+      } catch (err) {
+        results.push({ path: file.path, status: 'failed', title: fields.title, error: err.message });
+      }
+    }
+
+    const summary = { files: results.length, created: 0, valid: 0, skipped: 0, failed: 0 };
+    for (const result of results) summary[result.status] += 1;
+    if (summary.created) worker.notify();
+
+    res.status(summary.created ? 201 : 200).json({ dryRun, summary, results });
+  } catch (err) {
+    console.error('Error importing documents:', err);
+    res.status(500).json({ message: 'Failed to import documents', error: err.message });
+  }
+};
+
 exports.getDocuments = async (req, res) => {
   try {
-    const { mine, tag, tags, q, limit = 20, page = 1 } = req.query;
-    const filter = {};
+    const { mine, tag, tags, q, folder, limit = 20, page = 1 } = req.query;
+    const filter = accessFilter(req);
     if (mine === 'true') filter.createdBy = req.user._id;
+    // A folder lists its subfolders' documents too
+    const folderPath = Document.normalizeFolder(folder);
+    if (folderPath) filter.folder = { $regex: `^${escapeRegExp(folderPath)}(/|$)` };
     
     // Handle both single tag and multiple tags
     if (tags) {
@@ -100,12 +229,13 @@ exports.getDocuments = async (req, res) => {
     if (q) {
       filter.$or = [
         { title: { $regex: q, $options: 'i' } },
-        { content: { $regex: q, $options: 'i' } },
+        { plainText: { $regex: q, $options: 'i' } },
         { tags: { $regex: q, $options: 'i' } },
       ];
     }
 
     const docs = await Document.find(filter)
+      .active()
       .populate('createdBy', 'name email role')
       .sort({ updatedAt: -1 })
       .limit(Number(limit))
@@ -119,40 +249,150 @@ exports.getDocuments = async (req, res) => {
 
 exports.getDocumentById = async (req, res) => {
   try {
-    const doc = await Document.findById(req.params.id).populate('createdBy', 'name email role');
-    if (!doc) return res.status(404).json({ message: 'Document not found' });
-    res.json(doc);
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active().populate('createdBy', 'name email role');
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+    res.set('ETag', etagFor(doc));
+    res.json({ ...doc.toJSON(), accessRole: documentRole(req, doc) });
   } catch (err) {
     res.status(500).json({ message: 'Failed to fetch document', error: err.message });
   }
 };
 
+// Content rendered as sanitized HTML, with its outline and reading metadata
+exports.renderDocument = async (req, res) => {
+  try {
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active();
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+    const { html, outline } = processContent(doc.content, doc.format);
+    res.set('ETag', etagFor(doc));
+    res.json({
+      id: doc._id,
+      title: doc.title,
+      format: doc.format,
+      html,
+      outline,
+      wordCount: doc.wordCount,
+      readingTime: doc.readingTime
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to render document', error: err.message });
+  }
+};
+
+// Download a document as a file with front-matter (format=markdown, default)
+// or as JSON together with its version history (format=json)
+exports.exportDocument = async (req, res) => {
+  try {
+    const { format = 'markdown' } = req.query;
+    if (!['markdown', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'format must be one of: markdown, json' });
+    }
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active();
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+
+    res.attachment(exportFileName(doc, format));
+    if (format === 'json') {
+      const versions = await DocumentVersion.find({ document: doc._id }).sort({ versionNumber: 1 });
+      return res.json(documentJson(doc, versions));
+    }
+    res.type(doc.format === 'html' ? 'text/html' : 'text/markdown').send(documentMarkdown(doc));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to export document', error: err.message });
+  }
+};
+
 exports.updateDocument = async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
   try {
-    const { title, content, tags } = req.body;
-    const doc = await Document.findById(req.params.id).session(session);
+    let { title, content, tags } = req.body;
+    const { visibility, format, folder } = req.body;
+    if (format !== undefined && !FORMATS.includes(format)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: `format must be one of: ${FORMATS.join(', ')}` });
+    }
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: `visibility must be one of: ${VISIBILITIES.join(', ')}` });
+    }
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active().session(session);
     
-    if (!doc) {
+    if (!doc || !canAccess(req, doc)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(404).json({ message: 'Document not found' });
     }
     
-    if (!canModify(req.user, doc)) {
+    if (!canModify(req, doc)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({ message: 'Forbidden' });
     }
 
-    // Track changes
+    // Only owners may change who can see the document
+    if (visibility !== undefined && visibility !== doc.visibility) {
+      if (!canAccess(req, doc, 'owner')) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(403).json({ message: 'Only the owner can change visibility' });
+      }
+      doc.visibility = visibility;
+    }
+    // Moving a document between folders is not a new version
+    if (folder !== undefined) doc.folder = folder;
+
+    // Optimistic concurrency: a stale edit is merged with what changed since its base version
+    let merged = false;
+    const baseVersion = baseVersionOf(req);
+    if (Number.isNaN(baseVersion)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Invalid If-Match / baseVersion' });
+    }
+    if (baseVersion !== null && baseVersion !== doc.currentVersion) {
+      const base = await DocumentVersion.findOne({ document: doc._id, versionNumber: baseVersion }).session(session);
+      if (!base) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(409).json({
+          message: 'Base version is no longer available; reload the document and reapply your changes',
+          currentVersion: doc.currentVersion
+        });
+      }
+
+      const result = mergeDocumentEdit(base, doc.snapshot(), { title, content, tags });
+      if (result.conflicts.length) {
+        await session.abortTransaction();
+        session.endSession();
+        const theirChanges = compareSnapshots(base, doc.snapshot(), { granularity: 'line' });
+        return res.status(409).json({
+          message: 'Edit conflicts with changes made since your version',
+          baseVersion,
+          currentVersion: doc.currentVersion,
+          conflicts: result.conflicts,
+          theirChanges: theirChanges.fields,
+          current: doc.snapshot()
+        });
+      }
+
+      ({ title, content, tags } = result.values);
+      merged = true;
+    }
+
+    // Compare HTML as it will be stored
+    const newFormat = format !== undefined ? format : doc.format;
+    if (content !== undefined && newFormat === 'html') content = sanitizeHtml(content);
+
+    // Track changes (the summary is refreshed later by the enrichment job).
+    // A new format changes how the content reads, so it counts as a content change.
     const changes = {
       title: title !== undefined && title !== doc.title,
-      content: content !== undefined && content !== doc.content,
+      content: (content !== undefined && content !== doc.content) || newFormat !== doc.format,
       tags: tags !== undefined && JSON.stringify(tags) !== JSON.stringify(doc.tags),
-      summary: false // Will be set to true if content changes
+      summary: false
     };
 
     // Save current state for diffing
@@ -166,27 +406,9 @@ exports.updateDocument = async (req, res) => {
     // Update document fields if provided
     if (title !== undefined) doc.title = title;
     if (content !== undefined) doc.content = content;
+    doc.format = newFormat;
     if (tags !== undefined) doc.tags = tags;
 
-    // Recompute AI fields if content/title changed
-    if (changes.content || changes.title) {
-      const [summary, autoTags, embedding] = await Promise.all([
-        summarizeText(doc.content),
-        generateTags(`${doc.title}\n${doc.content}`, 6),
-        embedText(`${doc.title}\n${doc.content}`),
-      ]);
-      
-      changes.summary = doc.summary !== summary;
-      doc.summary = summary;
-      doc.embedding = embedding;
-      
-      if (!tags) {
-        const newTags = Array.from(new Set([...(doc.tags || []), ...autoTags])).slice(0, 10);
-        changes.tags = changes.tags || JSON.stringify(newTags) !== JSON.stringify(doc.tags);
-        doc.tags = newTags;
-      }
-    }
-
     // Only create a new version if there are actual changes
     if (Object.values(changes).some(change => change)) {
       // Create a new version with the changes
@@ -207,17 +429,23 @@ exports.updateDocument = async (req, res) => {
 
     doc.lastUpdatedBy = req.user._id;
     await doc.save({ session });
+    // Refresh the AI fields in the background if the text changed
+    const enrich = changes.content || changes.title;
+    if (enrich) {
+      await enqueueEnrichment(doc, req.user, { summarize: changes.content, tags: tags ? 'keep' : 'merge' }, session);
+    }
     
     await session.commitTransaction();
     session.endSession();
+    if (enrich) worker.notify();
     
-    // Return the updated document with versions populated
+    // Return the updated document
     const updatedDoc = await Document.findById(doc._id)
       .populate('createdBy', 'name email')
-      .populate('lastUpdatedBy', 'name email')
-      .populate('versions.editedBy', 'name email');
+      .populate('lastUpdatedBy', 'name email');
       
-    res.json(updatedDoc);
+    res.set('ETag', etagFor(updatedDoc));
+    res.json(merged ? { ...updatedDoc.toJSON(), merged: true } : updatedDoc);
   } catch (err) {
     await session.abortTransaction();
     session.endSession();
@@ -231,15 +459,15 @@ exports.deleteDocument = async (req, res) => {
   session.startTransaction();
   
   try {
-    const doc = await Document.findById(req.params.id).session(session);
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active().session(session);
     
-    if (!doc) {
+    if (!doc || !canAccess(req, doc)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(404).json({ message: 'Document not found' });
     }
     
-    if (!canModify(req.user, doc)) {
+    if (!canAccess(req, doc, 'owner')) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({ message: 'Forbidden' });
@@ -249,7 +477,7 @@ exports.deleteDocument = async (req, res) => {
     await logActivity('deleted', doc, req.user);
     
     // Soft delete the document
-    await doc.softDelete();
+    await doc.softDelete(req.user);
     
     await session.commitTransaction();
     session.endSession();
@@ -265,10 +493,10 @@ exports.deleteDocument = async (req, res) => {
 
 exports.forceSummarize = async (req, res) => {
   try {
-    const doc = await Document.findById(req.params.id);
-    if (!doc) return res.status(404).json({ message: 'Document not found' });
-    if (!canModify(req.user, doc)) return res.status(403).json({ message: 'Forbidden' });
-    doc.summary = await summarizeText(doc.content);
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active().select('+plainText');
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+    if (!canModify(req, doc)) return res.status(403).json({ message: 'Forbidden' });
+    doc.summary = await summarizeText(documentText(doc), { usage: usageContext(req) });
     await doc.save();
     res.json({ summary: doc.summary });
   } catch (err) {
@@ -278,10 +506,10 @@ exports.forceSummarize = async (req, res) => {
 
 exports.forceTags = async (req, res) => {
   try {
-    const doc = await Document.findById(req.params.id);
-    if (!doc) return res.status(404).json({ message: 'Document not found' });
-    if (!canModify(req.user, doc)) return res.status(403).json({ message: 'Forbidden' });
-    const newTags = await generateTags(`${doc.title}\n${doc.content}`, 6);
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active();
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+    if (!canModify(req, doc)) return res.status(403).json({ message: 'Forbidden' });
+    const newTags = await generateTags(`${doc.title}\n${documentText(doc)}`, 6, { usage: usageContext(req) });
     doc.tags = Array.from(new Set([...(doc.tags || []), ...newTags])).slice(0, 10);
     await doc.save();
     res.json({ tags: doc.tags });
@@ -290,19 +518,54 @@ exports.forceTags = async (req, res) => {
   }
 };
 
+// Enrichment status of a document and its recent jobs
+exports.getDocumentJobs = async (req, res) => {
+  try {
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active();
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+
+    const jobs = await Job.find({ document: doc._id })
+      .select('-document -workspace')
+      .sort({ createdAt: -1 })
+      .limit(20);
+    res.json({ enrichment: doc.enrichment, jobs });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch document jobs', error: err.message });
+  }
+};
+
+// Queue a fresh enrichment of the current version
+exports.requestEnrichment = async (req, res) => {
+  try {
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active();
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+    if (!canModify(req, doc)) return res.status(403).json({ message: 'Forbidden' });
+
+    const job = await enqueueEnrichment(doc, req.user, { tags: req.body.tags === 'replace' ? 'replace' : 'merge' });
+    worker.notify();
+    res.status(202).json({ message: 'Enrichment queued', job });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to queue enrichment', error: err.message });
+  }
+};
+
 exports.activityFeed = async (req, res) => {
   try {
     const { limit = 10, skip = 0 } = req.query;
+
+    // Only show activity for documents the user can see
+    const visibleIds = await Document.distinct('_id', accessFilter(req));
+    const filter = inWorkspace(req, { document: { $in: visibleIds } });
     
     const [activities, total] = await Promise.all([
-      Activity.find()
+      Activity.find(filter)
         .sort({ createdAt: -1 })
         .skip(parseInt(skip))
         .limit(parseInt(limit))
         .populate('user', 'name email')
         .populate('document', 'title')
         .lean(),
-      Activity.countDocuments()
+      Activity.countDocuments(filter)
     ]);
     
     // Enhance activities with human-readable messages
@@ -311,6 +574,8 @@ exports.activityFeed = async (req, res) => {
         created: 'created the document',
         updated: 'updated the document',
         deleted: 'deleted the document',
+        restored: 'restored the document from the trash',
+        purged: 'permanently deleted the document',
         version_created: 'created a new version of the document'
       };
       
@@ -338,25 +603,27 @@ exports.getDocumentVersions = async (req, res) => {
     const { id } = req.params;
     const { limit = 10, skip = 0 } = req.query;
     
-    const doc = await Document.findById(id)
-      .select('versions')
-      .populate('versions.editedBy', 'name email')
+    const doc = await Document.findOne(inWorkspace(req, { _id: id })).active()
+      .select('workspace createdBy visibility shares')
       .lean();
     
-    if (!doc) {
+    if (!doc || !canAccess(req, doc)) {
       return res.status(404).json({ message: 'Document not found' });
     }
     
-    // Sort versions by version number (descending)
-    const sortedVersions = doc.versions.sort((a, b) => b.versionNumber - a.versionNumber);
-    
-    // Apply pagination
-    const paginatedVersions = sortedVersions.slice(parseInt(skip), parseInt(skip) + parseInt(limit));
+    const [versions, total] = await Promise.all([
+      DocumentVersion.find({ document: doc._id })
+        .sort({ versionNumber: -1 })
+        .skip(parseInt(skip))
+        .limit(parseInt(limit))
+        .populate('editedBy', 'name email'),
+      DocumentVersion.countDocuments({ document: doc._id })
+    ]);
     
     res.json({
-      versions: paginatedVersions,
-      total: doc.versions.length,
-      hasMore: (parseInt(skip) + paginatedVersions.length) < doc.versions.length
+      versions,
+      total,
+      hasMore: (parseInt(skip) + versions.length) < total
     });
   } catch (err) {
     console.error('Error fetching document versions:', err);
@@ -364,6 +631,80 @@ exports.getDocumentVersions = async (req, res) => {
   }
 };
 
+// Resolve a version reference ("current" or a version number) to a snapshot
+async function resolveVersion(doc, ref) {
+  if (ref === 'current') {
+    return {
+      versionNumber: doc.currentVersion,
+      current: true,
+      editedBy: doc.lastUpdatedBy,
+      createdAt: doc.updatedAt,
+      snapshot: doc.snapshot()
+    };
+  }
+  if (!/^\d+$/.test(ref)) return null;
+  const versionNumber = Number(ref);
+  const version = await DocumentVersion.findOne({ document: doc._id, versionNumber })
+    .populate('editedBy', 'name email');
+  if (!version) return null;
+  return {
+    versionNumber,
+    current: versionNumber === doc.currentVersion,
+    editedBy: version.editedBy,
+    createdAt: version.createdAt,
+    snapshot: {
+      title: version.title,
+      content: version.content,
+      summary: version.summary,
+      tags: version.tags
+    }
+  };
+}
+
+// Compare any two versions of a document (either side may be "current")
+exports.compareVersions = async (req, res) => {
+  try {
+    const { id, a, b } = req.params;
+    const { granularity, format = 'hunks', fields } = req.query;
+    const invalid = [a, b].find(ref => ref !== 'current' && !/^\d+$/.test(ref));
+    if (invalid !== undefined) return res.status(400).json({ message: `Invalid version "${invalid}"` });
+
+    const doc = await Document.findOne(inWorkspace(req, { _id: id })).active()
+      .populate('lastUpdatedBy', 'name email');
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+
+    const [from, to] = await Promise.all([resolveVersion(doc, a), resolveVersion(doc, b)]);
+    if (!from || !to) {
+      return res.status(404).json({ message: `Version ${!from ? a : b} not found` });
+    }
+
+    // A repeated ?fields= arrives as an array
+    const fieldList = [].concat(fields || []).join(',').split(',').map(f => f.trim()).filter(Boolean);
+    const comparison = compareSnapshots(from.snapshot, to.snapshot, {
+      granularity,
+      format,
+      fields: fieldList.length ? fieldList : undefined,
+      labels: {
+        from: a === 'current' ? 'current' : `v${from.versionNumber}`,
+        to: b === 'current' ? 'current' : `v${to.versionNumber}`
+      }
+    });
+
+    const describe = ({ snapshot, ...meta }) => meta;
+    res.json({
+      document: doc._id,
+      from: describe(from),
+      to: describe(to),
+      format,
+      ...comparison
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ message: err.message });
+    console.error('Error comparing document versions:', err);
+    res.status(500).json({ message: 'Failed to compare versions', error: err.message });
+  }
+};
+
 // Restore a document to a previous version
 exports.restoreVersion = async (req, res) => {
   const session = await mongoose.startSession();
@@ -372,73 +713,66 @@ exports.restoreVersion = async (req, res) => {
   try {
     const { id, versionNumber } = req.params;
     
-    const doc = await Document.findById(id).session(session);
-    if (!doc) {
+    const doc = await Document.findOne(inWorkspace(req, { _id: id })).active().session(session);
+    if (!doc || !canAccess(req, doc)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(404).json({ message: 'Document not found' });
     }
     
-    if (!canModify(req.user, doc)) {
+    if (!canModify(req, doc)) {
       await session.abortTransaction();
       session.endSession();
       return res.status(403).json({ message: 'Forbidden' });
     }
     
     // Find the version to restore
-    const versionToRestore = doc.versions.find(v => v.versionNumber === parseInt(versionNumber));
+    const versionToRestore = await DocumentVersion.findOne({
+      document: doc._id,
+      versionNumber: parseInt(versionNumber)
+    }).session(session);
     if (!versionToRestore) {
       await session.abortTransaction();
       session.endSession();
       return res.status(404).json({ message: 'Version not found' });
     }
     
-    // Save current state as a new version before restoring
-    await doc.createVersion(req.user, {
-      title: true,
-      content: true,
-      summary: true,
-      tags: true
-    });
+    const previousState = doc.snapshot();
+    const changes = {
+      title: doc.title !== versionToRestore.title,
+      content: doc.content !== versionToRestore.content || doc.format !== (versionToRestore.format || 'plain'),
+      summary: doc.summary !== versionToRestore.summary,
+      tags: JSON.stringify(doc.tags) !== JSON.stringify(versionToRestore.tags)
+    };
     
-    // Restore the document to the selected version
+    // Restore the document to the selected version and record it as a new version
     doc.title = versionToRestore.title;
     doc.content = versionToRestore.content;
+    doc.format = versionToRestore.format || 'plain';
     doc.summary = versionToRestore.summary;
     doc.tags = versionToRestore.tags;
-    doc.lastUpdatedBy = req.user._id;
-    
-    await doc.save({ session });
+    await doc.createVersion(req.user, changes);
+    // The restored summary and tags are kept; only the embeddings need refreshing
+    const enrich = changes.content || changes.title;
+    if (enrich) await enqueueEnrichment(doc, req.user, { summarize: false, tags: 'keep' }, session);
     
     // Log the restore activity
     await logActivity('version_created', doc, req.user, doc.currentVersion, {
-      title: true,
-      content: true,
-      summary: true,
-      tags: true,
-      previousVersion: {
-        title: doc.title,
-        content: doc.content,
-        summary: doc.summary,
-        tags: doc.tags
-      },
-      newVersion: {
-        title: versionToRestore.title,
-        content: versionToRestore.content,
-        summary: versionToRestore.summary,
-        tags: versionToRestore.tags
-      }
+      ...changes,
+      previousVersion: previousState,
+      newVersion: doc.snapshot()
     });
     
     await session.commitTransaction();
     session.endSession();
+    if (enrich) worker.notify();
     
     // Return the restored document
     const updatedDoc = await Document.findById(doc._id)
       .populate('createdBy', 'name email')
-      .populate('lastUpdatedBy', 'name email')
-      .populate('versions.editedBy', 'name email');
+      .populate('lastUpdatedBy', 'name email');
     
+    res.set('ETag', etagFor(updatedDoc));
     res.json({
       message: 'Document restored to the selected version',
       document: updatedDoc
@@ -450,3 +784,181 @@ exports.restoreVersion = async (req, res) => {
     res.status(500).json({ message: 'Failed to restore document version', error: err.message });
   }
 };
+
+// List who a document is shared with
+exports.getShares = async (req, res) => {
+  try {
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active()
+      .select('title workspace createdBy visibility shares')
+      .populate('createdBy', 'name email');
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+
+    const members = new Map(req.workspace.members.map(m => [String(m.user), m]));
+    const userIds = doc.shares.filter(s => s.principalType === 'user').map(s => s.principal);
+    const users = await User.find({ _id: { $in: userIds } })
+      .select('name email')
+      .lean();
+    const userMap = new Map(users.map(u => [String(u._id), u]));
+    const groupMap = new Map(req.workspace.groups.map(g => [String(g._id), g]));
+
+    const shares = doc.shares.map(share => {
+      const id = String(share.principal);
+      const principal = share.principalType === 'user'
+        ? userMap.get(id) || null
+        : (groupMap.has(id) ? { _id: id, name: groupMap.get(id).name } : null);
+      return {
+        principalType: share.principalType,
+        principal,
+        principalId: share.principal,
+        role: share.role,
+        grantedBy: share.grantedBy,
+        grantedAt: share.grantedAt,
+        workspaceMember: share.principalType === 'user' ? members.has(id) : undefined
+      };
+    });
+
+    res.json({
+      visibility: doc.visibility,
+      owner: doc.createdBy,
+      accessRole: documentRole(req, doc),
+      shares
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch shares', error: err.message });
+  }
+};
+
+// Grant (or change) a user's or group's access to a document
+exports.grantShare = async (req, res) => {
+  try {
+    const { userId, email, groupId, role = 'viewer' } = req.body;
+    if (!['viewer', 'commenter', 'editor'].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active();
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+    if (!canAccess(req, doc, 'owner')) return res.status(403).json({ message: 'Forbidden' });
+
+    let principalType;
+    let principal;
+    if (groupId) {
+      const group = req.workspace.groups.id(groupId);
+      if (!group) return res.status(404).json({ message: 'Group not found' });
+      principalType = 'group';
+      principal = group._id;
+    } else {
+      const user = userId
+        ? await User.findById(userId).select('_id')
+        : await User.findOne({ email: String(email || '').toLowerCase().trim() }).select('_id');
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      if (!req.workspace.getMember(user._id)) {
+        return res.status(400).json({ message: 'User is not a member of this workspace' });
+      }
+      principalType = 'user';
+      principal = user._id;
+    }
+
+    const existing = doc.shares.find(
+      s => s.principalType === principalType && String(s.principal) === String(principal)
+    );
+    if (existing) {
+      existing.role = role;
+      existing.grantedBy = req.user._id;
+      existing.grantedAt = new Date();
+    } else {
+      doc.shares.push({ principalType, principal, role, grantedBy: req.user._id });
+    }
+    // Sharing a private document makes it visible to the people it is shared with
+    if (doc.visibility === 'private') doc.visibility = 'shared';
+
+    await doc.save();
+    res.status(existing ? 200 : 201).json({ visibility: doc.visibility, shares: doc.shares });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to share document', error: err.message });
+  }
+};
+
+// Revoke a user's or group's access to a document
+exports.revokeShare = async (req, res) => {
+  try {
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).active();
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found' });
+    if (!canAccess(req, doc, 'owner')) return res.status(403).json({ message: 'Forbidden' });
+
+    const before = doc.shares.length;
+    doc.shares = doc.shares.filter(s => String(s.principal) !== String(req.params.principalId));
+    if (doc.shares.length === before) return res.status(404).json({ message: 'Share not found' });
+
+    await doc.save();
+    res.json({ visibility: doc.visibility, shares: doc.shares });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to revoke share', error: err.message });
+  }
+};
+
+// List soft-deleted documents the user can restore or purge
+exports.listTrash = async (req, res) => {
+  try {
+    const { limit = 20, page = 1 } = req.query;
+    const filter = isWorkspaceManager(req)
+      ? inWorkspace(req)
+      : inWorkspace(req, { createdBy: req.user._id });
+
+    const [docs, total] = await Promise.all([
+      Document.find(filter)
+        .trashed()
+        .populate('createdBy', 'name email')
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit)),
+      Document.countDocuments({ ...filter, isDeleted: true })
+    ]);
+
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    res.json({
+      documents: docs.map(doc => ({
+        ...doc.toJSON(),
+        purgeAt: doc.deletedAt ? new Date(doc.deletedAt.getTime() + retentionMs) : null
+      })),
+      total,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch trash', error: err.message });
+  }
+};
+
+exports.restoreFromTrash = async (req, res) => {
+  try {
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).trashed();
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found in trash' });
+    if (!canAccess(req, doc, 'owner')) return res.status(403).json({ message: 'Forbidden' });
+
+    await doc.restoreFromTrash(req.user);
+    await logActivity('restored', doc, req.user);
+
+    const restored = await Document.findById(doc._id)
+      .populate('createdBy', 'name email')
+      .populate('lastUpdatedBy', 'name email');
+    res.json({ message: 'Document restored', document: restored });
+  } catch (err) {
+    console.error('Error restoring document from trash:', err);
+    res.status(500).json({ message: 'Failed to restore document', error: err.message });
+  }
+};
+
+exports.purgeFromTrash = async (req, res) => {
+  try {
+    const doc = await Document.findOne(inWorkspace(req, { _id: req.params.id })).trashed();
+    if (!doc || !canAccess(req, doc)) return res.status(404).json({ message: 'Document not found in trash' });
+    if (!canAccess(req, doc, 'owner')) return res.status(403).json({ message: 'Forbidden' });
+
+    await purgeDocument(doc, req.user);
+    res.json({ message: 'Document permanently deleted' });
+  } catch (err) {
+    console.error('Error purging document:', err);
+    res.status(500).json({ message: 'Failed to purge document', error: err.message });
+  }
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const queue = require('../jobs/queue');
+const worker = require('../jobs/worker');
+const { activeReindex, enqueueReindex, embeddingStatus } = require('../jobs/reindexCorpus');
+
+const TAG_MODES = ['keep', 'replace', 'merge'];
+
+// Jobs across the deployment, newest first, with counts per status
+exports.listJobs = async (req, res) => {
+  try {
+    const { status, type, document, limit = 50, page = 1 } = req.query;
+    const filter = {};
+    if (status) {
+      if (!Job.STATUSES.includes(status)) return res.status(400).json({ message: `Invalid status "${status}"` });
+      filter.status = status;
+    }
+    if (type) filter.type = type;
+    if (document) {
+      if (!mongoose.isValidObjectId(document)) return res.status(400).json({ message: 'Invalid document id' });
+      filter.document = document;
+    }
+
+    const [jobs, counts] = await Promise.all([
+      Job.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit)),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      jobs,
+      counts: Object.fromEntries(Job.STATUSES.map(s => [s, (counts.find(c => c._id === s) || {}).count || 0]))
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch jobs', error: err.message });
+  }
+};
+
+exports.getJob = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid job id' });
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+    res.json(job);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch job', error: err.message });
+  }
+};
+
+// Requeue a dead-lettered job
+exports.retryJob = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ message: 'Invalid job id' });
+    const job = await Job.findById(req.params.id);
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+    if (job.status !== 'failed') return res.status(409).json({ message: 'Only failed jobs can be retried' });
+
+    await queue.retry(job);
+    worker.notify();
+    res.json(job);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to retry job', error: err.message });
+  }
+};
+
+// Embedding model in use, chunks per embedding space and the current re-index run
+exports.getReindexStatus = async (req, res) => {
+  try {
+    const [status, job] = await Promise.all([embeddingStatus(), activeReindex()]);
+    res.json({ ...status, job });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch re-index status', error: err.message });
+  }
+};
+
+// Queue a re-index of the corpus; progress is reported on the job
+exports.startReindex = async (req, res) => {
+  try {
+    const { workspace = null, summarize = false, tags = 'keep', force = false, batchSize } = req.body;
+    if (workspace && !mongoose.isValidObjectId(workspace)) return res.status(400).json({ message: 'Invalid workspace id' });
+    if (!TAG_MODES.includes(tags)) return res.status(400).json({ message: `tags must be one of: ${TAG_MODES.join(', ')}` });
+    if (batchSize !== undefined && !(Number(batchSize) >= 1)) return res.status(400).json({ message: 'batchSize must be at least 1' });
+
+    const running = await activeReindex();
+    if (running) return res.status(409).json({ message: 'A re-index is already queued or running', job: running });
+
+    const job = await enqueueReindex(req.user, {
+      workspace,
+      summarize: Boolean(summarize),
+      tags,
+      force: Boolean(force),
+      ...(batchSize !== undefined ? { batchSize: Number(batchSize) } : {})
+    });
+    worker.notify();
+    res.status(202).json(job);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to start re-index', error: err.message });
+  }
+};
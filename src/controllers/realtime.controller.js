@@ -0,0 +1,138 @@
+const Document = require('../models/Document');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const { canAccess } = require('../utils/access');
+const realtime = require('../utils/realtime');
+const { initStream } = require('../utils/sse');
+const { signStreamTicket, STREAM_TICKET_TTL_SECONDS } = require('../utils/tokens');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Whether the credential a stream was opened with is still valid
+async function credentialStillValid(req) {
+  if (req.apiKey) {
+    const apiKey = await ApiKey.findById(req.apiKey._id);
+    return Boolean(apiKey && apiKey.isActive());
+  }
+  const session = await Session.findById(req.authSession._id);
+  return Boolean(session && session.isActive());
+}
+
+// Reload the stream's user and workspace so removed or downgraded members stop
+// receiving events they can no longer see. Returns false once access is gone.
+async function refreshMembership(req) {
+  const [user, workspace] = await Promise.all([
+    User.findById(req.user._id).select('-password'),
+    Workspace.findById(req.workspace._id)
+  ]);
+  if (!user || !workspace) return false;
+
+  let role = workspace.roleOf(user._id);
+  if (!role && user.role === 'admin') role = 'admin';
+  if (!role) return false;
+
+  req.user = user;
+  req.workspace = workspace;
+  req.workspaceRole = role;
+  return true;
+}
+
+async function findVisibleDocument(req, id) {
+  const doc = await Document.findOne({ _id: id, workspace: req.workspace._id }).active()
+    .select('title workspace createdBy visibility shares');
+  return doc && canAccess(req, doc) ? doc : null;
+}
+
+// Open a Server-Sent Events stream of document events for the active workspace.
+// Pass ?document=<id>&state=viewing|editing to join a document's presence list.
+exports.stream = async (req, res) => {
+  initStream(res);
+
+  const connection = realtime.addConnection(req, res);
+  realtime.send(connection, 'ready', { connectionId: connection.id, workspace: req.workspace._id });
+
+  const { document, state = 'viewing' } = req.query;
+  if (document && realtime.PRESENCE_STATES.includes(state)) {
+    try {
+      const doc = await findVisibleDocument(req, document);
+      if (doc) realtime.setPresence(connection, doc, state);
+    } catch (err) {
+      console.error('Error joining document presence:', err);
+    }
+  }
+
+  let heartbeat = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    realtime.removeConnection(connection.id);
+  };
+
+  heartbeat = setInterval(async () => {
+    try {
+      if (!(await credentialStillValid(req))) {
+        realtime.send(connection, 'error', { message: 'Session expired or revoked' });
+        close();
+        return res.end();
+      }
+      if (!(await refreshMembership(req))) {
+        realtime.send(connection, 'error', { message: 'Not a member of this workspace' });
+        close();
+        return res.end();
+      }
+      res.write(': keep-alive\n\n');
+    } catch (err) {
+      console.error('Error checking realtime session:', err);
+    }
+  }, HEARTBEAT_MS);
+
+  req.on('close', close);
+};
+
+// Issue a short-lived, single-use ticket for opening an event stream, so the
+// access token never has to appear in a URL
+exports.createTicket = async (req, res) => {
+  try {
+    const ticket = signStreamTicket(req.user, { session: req.authSession, apiKey: req.apiKey });
+    res.status(201).json({ ticket, expiresIn: STREAM_TICKET_TTL_SECONDS });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to issue stream ticket', error: err.message });
+  }
+};
+
+// Update this connection's presence on a document (state = viewing, editing or null to leave)
+exports.updatePresence = async (req, res) => {
+  try {
+    const { connectionId, documentId, state = null } = req.body;
+    if (!connectionId || !documentId) {
+      return res.status(400).json({ message: 'connectionId and documentId are required' });
+    }
+    if (state !== null && !realtime.PRESENCE_STATES.includes(state)) {
+      return res.status(400).json({ message: 'Invalid presence state' });
+    }
+
+    const connection = realtime.getConnection(connectionId);
+    if (!connection || String(connection.req.user._id) !== String(req.user._id)) {
+      return res.status(404).json({ message: 'Connection not found' });
+    }
+
+    const doc = await findVisibleDocument(connection.req, documentId);
+    if (!doc) return res.status(404).json({ message: 'Document not found' });
+
+    const users = realtime.setPresence(connection, doc, state);
+    res.json({ documentId: doc._id, users });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update presence', error: err.message });
+  }
+};
+
+exports.getPresence = async (req, res) => {
+  try {
+    const doc = await findVisibleDocument(req, req.params.documentId);
+    if (!doc) return res.status(404).json({ message: 'Document not found' });
+    res.json({ documentId: doc._id, users: realtime.presenceFor(doc._id) });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch presence', error: err.message });
+  }
+};
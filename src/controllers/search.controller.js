@@ -1,47 +1,138 @@
 const Document = require('../models/Document');
-const { embedText, cosineSim } = require('../utils/gemini');
+const { embedText } = require('../utils/ai');
+const { rankByChunks, VECTOR_MIN_SCORE } = require('../utils/chunks');
+const { fuseRankings } = require('../utils/retrieval');
+const { usageContext } = require('../utils/usage');
+const { compileQuery, textQuery, searchResult, facetCounts } = require('../utils/search');
+
+// Candidates taken from each ranking before fusing them in hybrid search
+const HYBRID_CANDIDATES = 100;
+
+// Results are a plain array unless ?envelope=true asks for
+// { results, total, page, limit, facets }
+const wantsEnvelope = (req) => req.query.envelope === 'true';
+const wantsFacets = (req) => wantsEnvelope(req) && req.query.facets !== 'false';
+
+function sendResults(req, res, { results, total, page = 1, limit, facets = null }) {
+  if (!wantsEnvelope(req)) return res.json(results);
+  res.json({ results, total, page: Number(page), limit: Number(limit), facets });
+}
+
+// Query syntax errors point at the offending token
+function sendBadRequest(res, err) {
+  res.status(400).json({ message: err.message, token: err.token, position: err.position });
+}
 
 exports.textSearch = async (req, res) => {
   try {
-    const { q = '', limit = 20, page = 1 } = req.query;
-    const filter = q
-      ? {
-          $or: [
-            { title: { $regex: q, $options: 'i' } },
-            { content: { $regex: q, $options: 'i' } },
-            { tags: { $regex: q, $options: 'i' } },
-          ],
-        }
-      : {};
-
-    const docs = await Document.find(filter)
-      .sort({ updatedAt: -1 })
-      .limit(Number(limit))
-      .skip((Number(page) - 1) * Number(limit));
-
-    res.json(docs);
+    const { limit = 20, page = 1 } = req.query;
+    const { filter, textSearch, matcher } = await compileQuery(req);
+    const match = textSearch ? { ...filter, $text: { $search: textSearch } } : filter;
+
+    const query = (textSearch ? textQuery(filter, textSearch) : Document.find(filter).sort({ updatedAt: -1 }))
+      .select('+plainText');
+    const [docs, total, facets] = await Promise.all([
+      query
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit)),
+      wantsEnvelope(req) ? Document.countDocuments(match) : null,
+      wantsFacets(req) ? facetCounts(match) : null
+    ]);
+
+    sendResults(req, res, {
+      results: docs.map(d => searchResult(d, matcher, textSearch ? { _score: d.get('score') } : {})),
+      total,
+      page,
+      limit,
+      facets
+    });
   } catch (err) {
+    if (err.status === 400) return sendBadRequest(res, err);
     res.status(500).json({ message: 'Text search failed', error: err.message });
   }
 };
 
 exports.semanticSearch = async (req, res) => {
   try {
-    const { q = '', limit = 20 } = req.query;
-    if (!q) return res.status(400).json({ message: 'Missing query' });
+    const { limit = 20, minScore = VECTOR_MIN_SCORE } = req.query;
+    if (!Number.isFinite(Number(minScore))) return res.status(400).json({ message: 'Invalid minScore' });
+    const { filter, text, matcher } = await compileQuery(req);
+    if (!text) return res.status(400).json({ message: 'Missing query' });
 
-    const qEmbedding = await embedText(q);
+    const qEmbedding = await embedText(text, { usage: usageContext(req) });
 
-    // For demo, scan a reasonable subset (e.g., latest 200)
-    const pool = await Document.find({}).sort({ updatedAt: -1 }).limit(200);
-    const ranked = pool
-      .map((d) => ({ doc: d, score: cosineSim(qEmbedding, d.embedding || []) }))
-      .sort((a, b) => b.score - a.score)
-      .slice(0, Number(limit))
-      .map(({ doc, score }) => ({ ...doc.toObject(), _score: score }));
+    // Nearest chunks across every document the user can see
+    const visible = await Document.find(filter).distinct('_id');
+    const hits = await rankByChunks(qEmbedding, {
+      workspace: req.workspace._id,
+      documents: visible,
+      limit: Number(limit),
+      minScore: Number(minScore)
+    });
+    const docs = await Document.find({ _id: { $in: hits.map(h => h.documentId) } }).select('+plainText');
+    const byId = new Map(docs.map(d => [String(d._id), d]));
+    const ranked = hits
+      .filter(({ documentId }) => byId.has(String(documentId)))
+      .map(({ documentId, score, passages }) => searchResult(byId.get(String(documentId)), matcher, { _score: score, passages }));
 
-    res.json(ranked);
+    const facets = wantsFacets(req) ? await facetCounts({ _id: { $in: ranked.map(d => d._id) } }) : null;
+    sendResults(req, res, { results: ranked, total: ranked.length, limit, facets });
   } catch (err) {
+    if (err.status === 400) return sendBadRequest(res, err);
     res.status(500).json({ message: 'Semantic search failed', error: err.message });
   }
 };
+
+// Text and semantic rankings fused with reciprocal rank fusion
+exports.hybridSearch = async (req, res) => {
+  try {
+    const { limit = 20, page = 1, minScore = VECTOR_MIN_SCORE } = req.query;
+    if (!Number.isFinite(Number(minScore))) return res.status(400).json({ message: 'Invalid minScore' });
+    const { filter, text, textSearch, matcher } = await compileQuery(req);
+    if (!text) return res.status(400).json({ message: 'Missing query' });
+
+    const [byText, bySemantic] = await Promise.all([
+      textQuery(filter, textSearch).select('_id').limit(HYBRID_CANDIDATES),
+      (async () => {
+        const qEmbedding = await embedText(text, { usage: usageContext(req) });
+        const visible = await Document.find(filter).distinct('_id');
+        return rankByChunks(qEmbedding, {
+          workspace: req.workspace._id,
+          documents: visible,
+          limit: HYBRID_CANDIDATES,
+          minScore: Number(minScore)
+        });
+      })()
+    ]);
+
+    const textScores = new Map(byText.map(d => [String(d._id), d.get('score')]));
+    const semanticHits = new Map(bySemantic.map(h => [String(h.documentId), h]));
+    const fused = fuseRankings([byText, bySemantic.map(h => ({ _id: h.documentId }))]);
+
+    const start = (Number(page) - 1) * Number(limit);
+    const pageIds = fused.slice(start, start + Number(limit)).map(({ doc }) => doc._id);
+    const [docs, facets] = await Promise.all([
+      Document.find({ _id: { $in: pageIds } }).select('+plainText'),
+      wantsFacets(req) ? facetCounts({ _id: { $in: fused.map(({ doc }) => doc._id) } }) : null
+    ]);
+    const byId = new Map(docs.map(d => [String(d._id), d]));
+
+    const results = fused.slice(start, start + Number(limit))
+      .filter(({ doc }) => byId.has(String(doc._id)))
+      .map(({ doc, score }) => {
+        const id = String(doc._id);
+        const semantic = semanticHits.get(id);
+        return searchResult(byId.get(id), matcher, {
+          _score: score,
+          _textScore: textScores.has(id) ? textScores.get(id) : null,
+          _semanticScore: semantic ? semantic.score : null,
+          passages: semantic ? semantic.passages : []
+        });
+      });
+
+    sendResults(req, res, { results, total: fused.length, page, limit, facets });
+  } catch (err) {
+    if (err.status === 400) return sendBadRequest(res, err);
+    res.status(500).json({ message: 'Hybrid search failed', error: err.message });
+  }
+};
@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const fs = require('fs');
+const { isValidPolicy } = require('../utils/versionRetention');
+const { createBackup, restoreBackup } = require('../utils/backup');
+const worker = require('../jobs/worker');
+
+// Helpers
+function isManager(role) {
+  return role === 'owner' || role === 'admin';
+}
+
+const AI_QUOTA_FIELDS = ['dailyCalls', 'dailyTokens', 'monthlyCalls', 'monthlyTokens'];
+
+function serializeWorkspace(workspace, userId) {
+  return {
+    ...workspace.toObject(),
+    myRole: workspace.roleOf(userId)
+  };
+}
+
+// Load a workspace and the caller's role in it
+async function loadWorkspace(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid workspace id' });
+    return null;
+  }
+  const workspace = await Workspace.findById(req.params.id).populate('members.user', 'name email');
+  if (!workspace) {
+    res.status(404).json({ message: 'Workspace not found' });
+    return null;
+  }
+  let role = workspace.roleOf(req.user._id);
+  if (!role && req.user.role === 'admin') role = 'admin';
+  if (!role) {
+    res.status(403).json({ message: 'Not a member of this workspace' });
+    return null;
+  }
+  return { workspace, role };
+}
+
+exports.listWorkspaces = async (req, res) => {
+  try {
+    await Workspace.ensurePersonal(req.user);
+    const workspaces = await Workspace.findForUser(req.user._id)
+      .populate('members.user', 'name email')
+      .sort({ createdAt: 1 });
+    res.json({
+      workspaces: workspaces.map(w => serializeWorkspace(w, req.user._id)),
+      defaultWorkspace: req.user.defaultWorkspace
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch workspaces', error: err.message });
+  }
+};
+
+exports.createWorkspace = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    if (!name) return res.status(400).json({ message: 'Name is required' });
+    const workspace = await Workspace.create({
+      name,
+      description,
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+    res.status(201).json(serializeWorkspace(workspace, req.user._id));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create workspace', error: err.message });
+  }
+};
+
+exports.getWorkspace = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    res.json(serializeWorkspace(loaded.workspace, req.user._id));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch workspace', error: err.message });
+  }
+};
+
+exports.updateWorkspace = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    const { workspace, role } = loaded;
+    if (!isManager(role)) return res.status(403).json({ message: 'Forbidden' });
+
+    const { name, description, versionRetention, aiQuota } = req.body;
+    if (versionRetention && !isValidPolicy(versionRetention)) {
+      return res.status(400).json({ message: 'Invalid version retention policy' });
+    }
+    if (aiQuota !== undefined) {
+      // Quotas limit spending, so workspace managers cannot raise their own
+      if (req.user.role !== 'admin') return res.status(403).json({ message: 'Only admins can change AI quotas' });
+      const invalid = Object.entries(aiQuota || {}).find(([key, value]) =>
+        !AI_QUOTA_FIELDS.includes(key) || (value !== null && !(Number(value) >= 0)));
+      if (invalid) return res.status(400).json({ message: `Invalid AI quota: ${invalid[0]}` });
+      for (const key of AI_QUOTA_FIELDS) {
+        if (aiQuota && aiQuota[key] !== undefined) {
+          workspace.aiQuota[key] = aiQuota[key] === null ? null : Number(aiQuota[key]);
+        } else if (!aiQuota) {
+          workspace.aiQuota[key] = null;
+        }
+      }
+    }
+    if (name !== undefined) workspace.name = name;
+    if (description !== undefined) workspace.description = description;
+    if (versionRetention !== undefined) workspace.versionRetention = versionRetention || null;
+    await workspace.save();
+    res.json(serializeWorkspace(workspace, req.user._id));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update workspace', error: err.message });
+  }
+};
+
+exports.deleteWorkspace = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    const { workspace, role } = loaded;
+    if (role !== 'owner' && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only owners can delete a workspace' });
+    }
+
+    const docCount = await Document.countDocuments({ workspace: workspace._id });
+    if (docCount > 0) {
+      return res.status(409).json({ message: 'Workspace still contains documents', documents: docCount });
+    }
+
+    await workspace.deleteOne();
+    await User.updateMany({ defaultWorkspace: workspace._id }, { $set: { defaultWorkspace: null } });
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to delete workspace', error: err.message });
+  }
+};
+
+// Download a workspace with its documents, version history and activity as a backup archive
+exports.exportWorkspace = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    if (!isManager(loaded.role)) return res.status(403).json({ message: 'Forbidden' });
+
+    const { buffer } = await createBackup({ workspaces: [loaded.workspace._id] });
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`workspace-${loaded.workspace._id}-${date}.zip`);
+    res.type('application/zip').send(buffer);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to export workspace', error: err.message });
+  }
+};
+
+// Restore a backup archive as new workspaces (admins only). Archived users are
+// matched to accounts by email; those that do not exist here are created with
+// createUsers=true, and otherwise their content is attributed to the caller,
+// who owns the restored workspaces.
+exports.restoreWorkspaces = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'No archive uploaded' });
+    const createUsers = String(req.body.createUsers) === 'true';
+
+    const report = await restoreBackup(req.file.path, { user: req.user, matchUsers: true, createUsers });
+    worker.notify();
+    res.status(201).json(report);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    res.status(500).json({ message: 'Failed to restore backup', error: err.message });
+  } finally {
+    if (req.file) fs.unlink(req.file.path, () => {});
+  }
+};
+
+// Make a workspace the caller's default
+exports.setDefaultWorkspace = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    await User.updateOne({ _id: req.user._id }, { $set: { defaultWorkspace: loaded.workspace._id } });
+    res.json({ defaultWorkspace: loaded.workspace._id });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to set default workspace', error: err.message });
+  }
+};
+
+exports.addMember = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    const { workspace, role } = loaded;
+    if (!isManager(role)) return res.status(403).json({ message: 'Forbidden' });
+
+    const { userId, email, role: memberRole = 'member' } = req.body;
+    if (!Workspace.ROLES.includes(memberRole)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    if (memberRole === 'owner' && role !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can add owners' });
+    }
+
+    const user = userId
+      ? await User.findById(userId).select('name email')
+      : await User.findOne({ email: String(email || '').toLowerCase().trim() }).select('name email');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (workspace.getMember(user._id)) {
+      return res.status(409).json({ message: 'User is already a member' });
+    }
+
+    workspace.members.push({ user: user._id, role: memberRole });
+    await workspace.save();
+    await workspace.populate('members.user', 'name email');
+    res.status(201).json(serializeWorkspace(workspace, req.user._id));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to add member', error: err.message });
+  }
+};
+
+exports.updateMember = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    const { workspace, role } = loaded;
+    if (!isManager(role)) return res.status(403).json({ message: 'Forbidden' });
+
+    const { role: memberRole } = req.body;
+    if (!Workspace.ROLES.includes(memberRole)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const member = workspace.getMember(req.params.userId);
+    if (!member) return res.status(404).json({ message: 'Member not found' });
+    if ((member.role === 'owner' || memberRole === 'owner') && role !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can change owners' });
+    }
+    if (member.role === 'owner' && memberRole !== 'owner') {
+      const owners = workspace.members.filter(m => m.role === 'owner');
+      if (owners.length === 1) {
+        return res.status(409).json({ message: 'A workspace needs at least one owner' });
+      }
+    }
+
+    member.role = memberRole;
+    await workspace.save();
+    res.json(serializeWorkspace(workspace, req.user._id));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update member', error: err.message });
+  }
+};
+
+exports.removeMember = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    const { workspace, role } = loaded;
+
+    const isSelf = String(req.params.userId) === String(req.user._id);
+    if (!isSelf && !isManager(role)) return res.status(403).json({ message: 'Forbidden' });
+
+    const member = workspace.getMember(req.params.userId);
+    if (!member) return res.status(404).json({ message: 'Member not found' });
+    if (member.role === 'owner') {
+      if (!isSelf && role !== 'owner') {
+        return res.status(403).json({ message: 'Only owners can remove owners' });
+      }
+      const owners = workspace.members.filter(m => m.role === 'owner');
+      if (owners.length === 1) {
+        return res.status(409).json({ message: 'A workspace needs at least one owner' });
+      }
+    }
+
+    workspace.members = workspace.members.filter(m => m !== member);
+    for (const group of workspace.groups) {
+      group.members = group.members.filter(id => String(id) !== String(req.params.userId));
+    }
+    await workspace.save();
+    await User.updateOne(
+      { _id: req.params.userId, defaultWorkspace: workspace._id },
+      { $set: { defaultWorkspace: null } }
+    );
+    res.json(serializeWorkspace(workspace, req.user._id));
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to remove member', error: err.message });
+  }
+};
+
+// Keep only ids of users that belong to the workspace
+function memberIds(workspace, ids = []) {
+  return Array.from(new Set(ids.map(String))).filter(id => workspace.getMember(id));
+}
+
+exports.listGroups = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    await loaded.workspace.populate('groups.members', 'name email');
+    res.json({ groups: loaded.workspace.groups });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch groups', error: err.message });
+  }
+};
+
+exports.createGroup = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    const { workspace, role } = loaded;
+    if (!isManager(role)) return res.status(403).json({ message: 'Forbidden' });
+
+    const { name, members = [] } = req.body;
+    if (!name) return res.status(400).json({ message: 'Name is required' });
+
+    workspace.groups.push({ name, members: memberIds(workspace, members) });
+    await workspace.save();
+    res.status(201).json(workspace.groups[workspace.groups.length - 1]);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to create group', error: err.message });
+  }
+};
+
+exports.updateGroup = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    const { workspace, role } = loaded;
+    if (!isManager(role)) return res.status(403).json({ message: 'Forbidden' });
+
+    const group = workspace.groups.id(req.params.groupId);
+    if (!group) return res.status(404).json({ message: 'Group not found' });
+
+    const { name, members } = req.body;
+    if (name !== undefined) group.name = name;
+    if (members !== undefined) group.members = memberIds(workspace, members);
+    await workspace.save();
+    res.json(group);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to update group', error: err.message });
+  }
+};
+
+exports.deleteGroup = async (req, res) => {
+  try {
+    const loaded = await loadWorkspace(req, res);
+    if (!loaded) return;
+    const { workspace, role } = loaded;
+    if (!isManager(role)) return res.status(403).json({ message: 'Forbidden' });
+
+    const group = workspace.groups.id(req.params.groupId);
+    if (!group) return res.status(404).json({ message: 'Group not found' });
+
+    group.deleteOne();
+    await workspace.save();
+    // Drop any document shares that pointed at the group
+    await Document.updateMany(
+      { workspace: workspace._id },
+      { $pull: { shares: { principalType: 'group', principal: group._id } } }
+    );
+    res.json({ message: 'Group deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to delete group', error: err.message });
+  }
+};
@@ -0,0 +1,96 @@
+// AI enrichment of a document: summary, tags, document embedding and chunk embeddings.
+// payload: { version, summarize, tags } where tags is "replace" (use generated
+// tags), "merge" (add generated tags to the current ones) or "keep".
+
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const Workspace = require('../models/Workspace');
+const { summarizeText, generateTags, embedText, embeddingSpace } = require('../utils/ai');
+const { syncChunks } = require('../utils/chunks');
+const { checkQuota, quotaError } = require('../utils/usage');
+const { documentText } = require('../utils/content');
+const queue = require('./queue');
+
+const ENRICH_DOCUMENT = 'enrich_document';
+const MAX_TAGS = 10;
+
+// Summarize, tag and embed a document and store the results.
+// `reembed` embeds every chunk anew; `reuseEmbedding` keeps the document
+// embedding (loaded with +embedding) when it is in the current embedding space.
+async function enrich(doc, { summarize = true, tags = 'keep', usage, reembed = false, reuseEmbedding = false } = {}) {
+  const body = documentText(doc);
+  const text = `${doc.title}\n${body}`;
+  const keepEmbedding = reuseEmbedding && doc.embedding && doc.embedding.length &&
+    doc.embeddingSpace === embeddingSpace(doc.embedding);
+  const [summary, autoTags, embedding] = await Promise.all([
+    summarize ? summarizeText(body, { fallback: false, usage }) : null,
+    tags !== 'keep' ? generateTags(text, 6, { fallback: false, usage }) : null,
+    keepEmbedding ? null : embedText(text, { usage })
+  ]);
+  const chunks = await syncChunks(doc, { reembed, usage });
+
+  const update = {};
+  if (embedding) {
+    update.embedding = embedding;
+    update.embeddingSpace = embeddingSpace(embedding);
+  }
+  if (summary !== null) update.summary = summary;
+  if (autoTags) {
+    update.tags = tags === 'merge'
+      ? Array.from(new Set([...(doc.tags || []), ...autoTags])).slice(0, MAX_TAGS)
+      : autoTags;
+  }
+
+  // Only apply the results if nobody saved a newer version in the meantime
+  const current = { _id: doc._id, currentVersion: doc.currentVersion };
+  const result = Object.keys(update).length
+    ? await Document.updateOne(current, { $set: update }, { timestamps: false })
+    : { matchedCount: await Document.countDocuments(current) };
+  if (!result.matchedCount) {
+    // Chunks may now describe the older content; bring them back in line
+    const latest = await Document.findById(doc._id).select('+plainText');
+    if (latest) await syncChunks(latest, { usage });
+    return { skipped: 'superseded by a newer version' };
+  }
+
+  // The summary and tags belong to the version that asked for them
+  const versionUpdate = {};
+  if (update.summary !== undefined) versionUpdate.summary = update.summary;
+  if (update.tags) versionUpdate.tags = update.tags;
+  if (Object.keys(versionUpdate).length) {
+    await DocumentVersion.updateOne({ document: doc._id, versionNumber: doc.currentVersion }, { $set: versionUpdate });
+  }
+
+  return {
+    version: doc.currentVersion,
+    summarized: summary !== null,
+    tags: update.tags || null,
+    chunks
+  };
+}
+
+async function enrichDocument(job) {
+  const { version = null, summarize = true, tags = 'keep' } = job.payload || {};
+  const doc = await Document.findById(job.document).select('+plainText');
+  if (!doc || doc.isDeleted) return { skipped: 'document no longer exists' };
+  if (version !== null && doc.currentVersion !== version) return { skipped: 'superseded by a newer version' };
+
+  // Over quota: the queue puts the job back until the quota resets
+  const usage = { user: job.requestedBy, workspace: await Workspace.findById(doc.workspace) };
+  const exceeded = await checkQuota(usage);
+  if (exceeded) throw quotaError(exceeded);
+
+  return enrich(doc, { summarize, tags, usage });
+}
+
+// Queue enrichment of the document's current version
+function enqueueEnrichment(doc, user, { summarize = true, tags = 'keep' } = {}, session = null) {
+  return queue.enqueue(ENRICH_DOCUMENT, {
+    document: doc._id,
+    workspace: doc.workspace,
+    requestedBy: user && user._id,
+    payload: { version: doc.currentVersion, summarize, tags }
+  }, { session });
+}
+
+module.exports = { ENRICH_DOCUMENT, enrich, enrichDocument, enqueueEnrichment };
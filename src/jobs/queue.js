@@ -0,0 +1,167 @@
+// Persistent job queue backed by the jobs collection
+// Jobs are claimed atomically, retried with exponential backoff and
+// dead-lettered (status "failed") once they run out of attempts. Jobs tied to
+// a document mirror their status into the document's `enrichment` field.
+
+const Job = require('../models/Job');
+const Document = require('../models/Document');
+
+const BACKOFF_MS = Number(process.env.JOB_BACKOFF_MS || 5000);
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+
+// Delay before retry number `attempts` (1-based), with up to 20% jitter
+function backoffDelay(attempts, base = BACKOFF_MS) {
+  const delay = Math.min(base * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+// Mirror a job's state onto its document, unless a newer job has replaced it
+async function syncDocument(job, session = null) {
+  if (!job.document) return;
+  await Document.updateOne(
+    { _id: job.document, 'enrichment.job': job._id },
+    {
+      $set: {
+        'enrichment.status': job.status,
+        'enrichment.attempts': job.attempts,
+        'enrichment.error': job.status === 'done' ? null : job.lastError,
+        'enrichment.updatedAt': new Date()
+      }
+    },
+    { session, timestamps: false }
+  );
+}
+
+// Add a job. Pass the session of the surrounding transaction so the job only
+// exists if the change that requested it commits.
+async function enqueue(type, { document = null, workspace = null, requestedBy = null, payload = {} } = {}, { session = null, maxAttempts, delayMs = 0 } = {}) {
+  const [job] = await Job.create([{
+    type,
+    document,
+    workspace,
+    requestedBy,
+    payload,
+    ...(maxAttempts ? { maxAttempts } : {}),
+    runAt: new Date(Date.now() + delayMs)
+  }], { session });
+
+  if (document) {
+    await Document.updateOne(
+      { _id: document },
+      { $set: { enrichment: { status: 'pending', job: job._id, attempts: 0, error: null, updatedAt: new Date() } } },
+      { session, timestamps: false }
+    );
+  }
+  return job;
+}
+
+async function claimWhere(filter, workerId) {
+  const job = await Job.findOneAndUpdate(
+    filter,
+    {
+      $set: { status: 'running', lockedAt: new Date(), lockedBy: workerId, startedAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+  if (job) await syncDocument(job);
+  return job;
+}
+
+// Atomically take the oldest due pending job (of the given types)
+function claimNext(workerId, types) {
+  return claimWhere({ status: 'pending', runAt: { $lte: new Date() }, ...(types ? { type: { $in: types } } : {}) }, workerId);
+}
+
+// Atomically take one specific pending job, e.g. to run it from a script
+function claim(jobId, workerId) {
+  return claimWhere({ _id: jobId, status: 'pending' }, workerId);
+}
+
+// Write a running job's new state, but only while the worker that claimed it
+// still holds the lock: recoverStale may have released the job to another
+// worker in the meantime. Returns whether the write happened.
+async function saveLocked(job, $set, $push = null) {
+  const { matchedCount } = await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy, status: 'running' },
+    { $set, ...($push ? { $push } : {}) }
+  );
+  if (!matchedCount) return false;
+  job.set($set);
+  if ($push) Object.entries($push).forEach(([path, value]) => job.get(path).push(value));
+  job.$clearModifiedPaths();
+  return true;
+}
+
+function lockLost(job) {
+  return Object.assign(new Error(`Job ${job._id} is no longer locked by ${job.lockedBy}`), { lockLost: true });
+}
+
+// Save a running job's progress and renew its lock, so long jobs are not
+// mistaken for stale ones. Throws if the lock was lost, so the job stops.
+async function heartbeat(job, progress) {
+  if (!await saveLocked(job, { progress, lockedAt: new Date() })) throw lockLost(job);
+  return job;
+}
+
+// Record a job's result (null if it lost its lock and the result was dropped)
+async function complete(job, result = null) {
+  const saved = await saveLocked(job, { status: 'done', result, finishedAt: new Date(), lockedAt: null, lockedBy: null });
+  if (!saved) {
+    console.warn(lockLost(job).message, '- dropping its result');
+    return null;
+  }
+  await syncDocument(job);
+  return job;
+}
+
+// Record a failed attempt: retry later, or dead-letter when out of attempts.
+// Errors with `retryAt` defer the job instead; `permanent` ones dead-letter it at once.
+// Returns null if the job lost its lock, leaving its new state alone.
+async function fail(job, err) {
+  const message = (err && err.message) || String(err);
+  const update = { lastError: message, lockedAt: null, lockedBy: null };
+
+  if (err && err.retryAt) {
+    // Deferred (e.g. an exhausted AI quota) rather than failed: wait it out
+    // without using up an attempt
+    update.status = 'pending';
+    update.attempts = Math.max(0, job.attempts - 1);
+    update.runAt = err.retryAt;
+  } else if ((err && err.permanent) || job.attempts >= job.maxAttempts) {
+    update.status = 'failed';
+    update.finishedAt = new Date();
+    update.deadLetteredAt = new Date();
+  } else {
+    update.status = 'pending';
+    update.runAt = new Date(Date.now() + backoffDelay(job.attempts));
+  }
+  if (!await saveLocked(job, update, { failures: { attempt: job.attempts, message } })) return null;
+  await syncDocument(job);
+  return job;
+}
+
+// Put a dead-lettered job back in the queue with a fresh set of attempts
+async function retry(job) {
+  job.status = 'pending';
+  job.attempts = 0;
+  job.runAt = new Date();
+  job.deadLetteredAt = null;
+  job.finishedAt = null;
+  await job.save();
+  await syncDocument(job);
+  return job;
+}
+
+// Release jobs whose worker died while running them
+async function recoverStale(timeoutMs = LOCK_TIMEOUT_MS) {
+  const cutoff = new Date(Date.now() - timeoutMs);
+  const stale = await Job.find({ status: 'running', lockedAt: { $lte: cutoff } });
+  for (const job of stale) {
+    await fail(job, new Error(`Worker ${job.lockedBy} stopped responding`));
+  }
+  return stale.length;
+}
+
+module.exports = { backoffDelay, enqueue, claimNext, claim, heartbeat, complete, fail, retry, recoverStale };
@@ -0,0 +1,111 @@
+// Re-index the corpus (or one workspace): re-embed documents and their chunks
+// in the current embedding space, optionally re-summarizing and re-tagging them.
+// Documents are worked through in _id order, in batches. The position is saved
+// after each batch, so an interrupted run resumes where it stopped.
+// payload: { workspace, summarize, tags, force, batchSize }. Without `force`
+// only embeddings from another space (or none) are redone.
+
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const Job = require('../models/Job');
+const { embeddingModel } = require('../utils/ai');
+const { enrich } = require('./enrichDocument');
+const queue = require('./queue');
+
+const REINDEX_CORPUS = 'reindex_corpus';
+const BATCH_SIZE = Number(process.env.REINDEX_BATCH_SIZE || 20);
+// A run of failures usually means the provider is down: stop and retry later
+const MAX_FAILURES_IN_A_ROW = 5;
+
+// `onProgress(progress)` is called after each batch
+async function reindexCorpus(job, { onProgress } = {}) {
+  const { workspace = null, summarize = false, tags = 'keep', force = false, batchSize = BATCH_SIZE } = job.payload || {};
+  const filter = { isDeleted: { $ne: true }, ...(workspace ? { workspace } : {}) };
+
+  // `cursor` is the last document done; documents that failed after it are tried again on resume
+  const progress = { processed: 0, embedded: 0, reused: 0, failures: [], cursor: null, ...(job.progress || {}) };
+  progress.total = await Document.countDocuments(filter);
+
+  let position = progress.cursor;
+  let failedInARow = 0;
+  for (;;) {
+    const batch = await Document.find({ ...filter, ...(position ? { _id: { $gt: position } } : {}) })
+      .select('+embedding +plainText')
+      .sort({ _id: 1 })
+      .limit(batchSize);
+    if (!batch.length) break;
+
+    for (const doc of batch) {
+      position = doc._id;
+      const failures = progress.failures.filter(f => String(f.document) !== String(doc._id));
+      try {
+        const result = await enrich(doc, {
+          summarize,
+          tags,
+          reembed: force,
+          reuseEmbedding: !force,
+          usage: { user: job.requestedBy, workspace: doc.workspace }
+        });
+        if (result.chunks) {
+          progress.embedded += result.chunks.embedded;
+          progress.reused += result.chunks.reused;
+        }
+        progress.failures = failures;
+        progress.processed += 1;
+        progress.cursor = doc._id;
+        failedInARow = 0;
+      } catch (err) {
+        progress.failures = [...failures, { document: doc._id, title: doc.title, error: err.message }];
+        failedInARow += 1;
+        if (failedInARow >= MAX_FAILURES_IN_A_ROW) {
+          await queue.heartbeat(job, progress);
+          throw new Error(`Stopped after ${failedInARow} failures in a row: ${err.message}`);
+        }
+      }
+    }
+
+    await queue.heartbeat(job, progress);
+    if (onProgress) onProgress(progress);
+  }
+
+  return {
+    total: progress.total,
+    processed: progress.processed,
+    embedded: progress.embedded,
+    reused: progress.reused,
+    failed: progress.failures.length
+  };
+}
+
+// The re-index that is queued or running, if any
+function activeReindex() {
+  return Job.findOne({ type: REINDEX_CORPUS, status: { $in: ['pending', 'running'] } });
+}
+
+function enqueueReindex(user, { workspace = null, summarize = false, tags = 'keep', force = false, batchSize = BATCH_SIZE } = {}) {
+  return queue.enqueue(REINDEX_CORPUS, {
+    workspace,
+    requestedBy: user && user._id,
+    payload: { workspace, summarize, tags, force, batchSize }
+  }, { maxAttempts: 10 });
+}
+
+// The current embedding model and how many chunks are embedded in each space
+async function embeddingStatus() {
+  const { provider, model } = embeddingModel();
+  const spaces = await DocumentChunk.aggregate([
+    { $group: { _id: '$embeddingSpace', chunks: { $sum: 1 } } },
+    { $sort: { chunks: -1 } }
+  ]);
+  return {
+    provider,
+    model,
+    spaces: spaces.map(s => ({
+      space: s._id,
+      chunks: s.chunks,
+      current: Boolean(s._id) && s._id.startsWith(`${provider}:${model}:`)
+    }))
+  };
+}
+
+module.exports = { REINDEX_CORPUS, reindexCorpus, activeReindex, enqueueReindex, embeddingStatus };
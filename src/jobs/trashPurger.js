@@ -0,0 +1,30 @@
+// Periodically purge documents that outlived the trash retention period
+
+const { purgeExpired, TRASH_RETENTION_DAYS } = require('../utils/trash');
+
+const PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS || 60 * 60 * 1000);
+
+let timer = null;
+
+async function runOnce() {
+  try {
+    const purged = await purgeExpired();
+    if (purged) console.log(` Purged ${purged} document(s) older than ${TRASH_RETENTION_DAYS} days from the trash`);
+  } catch (err) {
+    console.error('Error purging trash:', err);
+  }
+}
+
+function start() {
+  if (timer) return;
+  runOnce();
+  timer = setInterval(runOnce, PURGE_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, runOnce };
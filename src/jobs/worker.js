@@ -0,0 +1,82 @@
+// Background workers for the job queue
+// Polls for due jobs and runs up to JOB_CONCURRENCY of them at a time in
+// this process. Several server processes can run workers side by side.
+
+const os = require('os');
+const crypto = require('crypto');
+const queue = require('./queue');
+const { ENRICH_DOCUMENT, enrichDocument } = require('./enrichDocument');
+const { REINDEX_CORPUS, reindexCorpus } = require('./reindexCorpus');
+
+const HANDLERS = {
+  [ENRICH_DOCUMENT]: enrichDocument,
+  [REINDEX_CORPUS]: reindexCorpus
+};
+
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2);
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 1000);
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let timer = null;
+let running = 0;
+let polling = false;
+let lastRecovery = 0;
+
+async function runJob(job) {
+  try {
+    const result = await HANDLERS[job.type](job);
+    await queue.complete(job, result);
+  } catch (err) {
+    console.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}:`, err.message);
+    try {
+      await queue.fail(job, err);
+    } catch (saveErr) {
+      console.error('Error recording job failure:', saveErr);
+    }
+  }
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    if (Date.now() - lastRecovery > RECOVERY_INTERVAL_MS) {
+      lastRecovery = Date.now();
+      await queue.recoverStale();
+    }
+    while (running < CONCURRENCY) {
+      const job = await queue.claimNext(workerId, Object.keys(HANDLERS));
+      if (!job) break;
+      running += 1;
+      runJob(job).finally(() => {
+        running -= 1;
+        if (timer) setImmediate(poll);
+      });
+    }
+  } catch (err) {
+    console.error('Error polling job queue:', err);
+  } finally {
+    polling = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(poll, POLL_INTERVAL_MS);
+  timer.unref();
+  poll();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// Wake the workers right away, e.g. after queueing a job
+function notify() {
+  if (timer) setImmediate(poll);
+}
+
+module.exports = { HANDLERS, start, stop, notify, poll };
@@ -0,0 +1,61 @@
+const { checkQuota } = require('../utils/usage');
+
+const RATE_LIMIT_PER_MINUTE = Number(process.env.AI_RATE_LIMIT_PER_MINUTE || 20);
+const WINDOW_MS = 60 * 1000;
+
+// Recent AI request times per user (sliding one-minute window, this process only)
+const recent = new Map();
+let lastSweep = 0;
+
+// Forget users with no request inside the window so the map does not grow forever
+function sweep(now) {
+  if (now - lastSweep < WINDOW_MS) return;
+  lastSweep = now;
+  for (const [key, times] of recent) {
+    if (!times.length || times[times.length - 1] <= now - WINDOW_MS) recent.delete(key);
+  }
+}
+
+// Throttle bursts of AI requests from one user (0 = no limit)
+function aiRateLimit(req, res, next) {
+  if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
+  if (!RATE_LIMIT_PER_MINUTE) return next();
+
+  const now = Date.now();
+  sweep(now);
+  const key = String(req.user._id);
+  const times = (recent.get(key) || []).filter(t => t > now - WINDOW_MS);
+  if (times.length >= RATE_LIMIT_PER_MINUTE) {
+    const retryAfter = Math.max(1, Math.ceil((times[0] + WINDOW_MS - now) / 1000));
+    recent.set(key, times);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      message: `Too many AI requests: at most ${RATE_LIMIT_PER_MINUTE} per minute`,
+      limit: RATE_LIMIT_PER_MINUTE,
+      retryAfter
+    });
+  }
+  times.push(now);
+  recent.set(key, times);
+  next();
+}
+
+// Refuse AI requests once the user's or workspace's quota is used up
+// (requires resolveWorkspace first)
+async function aiQuota(req, res, next) {
+  try {
+    const exceeded = await checkQuota({ user: req.user, workspace: req.workspace });
+    if (!exceeded) return next();
+    res.set('Retry-After', String(exceeded.retryAfter));
+    res.status(429).json({
+      message: `AI quota exceeded: ${exceeded.limit} ${exceeded.metric} per ${exceeded.period} for this ${exceeded.scope}`,
+      ...exceeded
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to check AI quota', error: err.message });
+  }
+}
+
+const limitAi = [aiRateLimit, aiQuota];
+
+module.exports = { aiRateLimit, aiQuota, limitAi };
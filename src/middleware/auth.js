@@ -1,17 +1,62 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { STREAM_TICKET_AUDIENCE, STREAM_TICKET_TTL_SECONDS } = require('../utils/tokens');
 
-// Verify JWT and attach user to req
+// Only record key usage once a minute to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Whether a JWT predates the user's last password change (iat is in seconds)
+function issuedBeforePasswordChange(decoded, user) {
+  return Boolean(user.passwordChangedAt) && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000);
+}
+
+// Authenticate with a personal access token
+async function authenticateApiKey(key, req, res, next) {
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({ message: 'Invalid, expired or revoked API key' });
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user) return res.status(401).json({ message: 'Invalid API key' });
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip || '' } })
+      .catch(err => console.error('Error recording API key usage:', err));
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+}
+
+// Verify JWT (or API key), check its session is still live and attach user to req
 async function authenticate(req, res, next) {
   const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : req.headers['x-api-key'] || null;
   if (!token) return res.status(401).json({ message: 'No token provided' });
 
   try {
+    if (ApiKey.isApiKey(token)) return await authenticateApiKey(token, req, res, next);
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Stream tickets carry an audience and are only accepted by authenticateTicket
+    if (!decoded.sid || decoded.aud) return res.status(401).json({ message: 'Invalid token' });
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || String(session.user) !== String(decoded.id)) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     if (!user) return res.status(401).json({ message: 'Invalid token' });
+    if (issuedBeforePasswordChange(decoded, user)) {
+      return res.status(401).json({ message: 'Token issued before the last password change' });
+    }
     req.user = user;
+    req.authSession = session;
     next();
   } catch (err) {
     return res.status(401).json({ message: 'Invalid or expired token' });
@@ -30,4 +75,70 @@ function authorize(roles = []) {
   };
 }
 
-module.exports = { authenticate, authorize };
+// Require an API key scope. Interactive (JWT) sessions have every scope.
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ message: `API key is missing the "${scope}" scope` });
+    }
+    next();
+  };
+}
+
+// Reject API keys for endpoints that need an interactive login
+function requireSession(req, res, next) {
+  if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
+  if (!req.authSession) return res.status(403).json({ message: 'This endpoint requires a user login' });
+  next();
+}
+
+// Ticket ids already used to open a stream, with when they can be forgotten
+const usedTickets = new Map();
+
+function claimTicket(jti) {
+  const now = Date.now();
+  for (const [id, expiresAt] of usedTickets) {
+    if (expiresAt <= now) usedTickets.delete(id);
+  }
+  if (!jti || usedTickets.has(jti)) return false;
+  usedTickets.set(jti, now + STREAM_TICKET_TTL_SECONDS * 1000);
+  return true;
+}
+
+// Authenticate with a stream ticket passed as ?ticket= (for EventSource, which
+// cannot set headers). The ticket stands in for the credential it was issued to.
+async function authenticateTicket(req, res, next) {
+  const { ticket } = req.query;
+  if (!ticket) return res.status(401).json({ message: 'No stream ticket provided' });
+
+  try {
+    const decoded = jwt.verify(ticket, process.env.JWT_SECRET, { audience: STREAM_TICKET_AUDIENCE });
+    if (!claimTicket(decoded.jti)) return res.status(401).json({ message: 'Stream ticket already used' });
+
+    if (decoded.kid) {
+      const apiKey = await ApiKey.findById(decoded.kid);
+      if (!apiKey || !apiKey.isActive() || String(apiKey.user) !== String(decoded.id)) {
+        return res.status(401).json({ message: 'Invalid, expired or revoked API key' });
+      }
+      req.apiKey = apiKey;
+    } else {
+      const session = decoded.sid && await Session.findById(decoded.sid);
+      if (!session || !session.isActive() || String(session.user) !== String(decoded.id)) {
+        return res.status(401).json({ message: 'Session expired or revoked' });
+      }
+      req.authSession = session;
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user || issuedBeforePasswordChange(decoded, user)) {
+      return res.status(401).json({ message: 'Invalid stream ticket' });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid or expired stream ticket' });
+  }
+}
+
+module.exports = { authenticate, authorize, requireScope, requireSession, authenticateTicket };
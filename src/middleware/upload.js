@@ -0,0 +1,49 @@
+const os = require('os');
+const multer = require('multer');
+const { MAX_FILES, MAX_BYTES } = require('../utils/importer');
+const { RESTORE_MAX_BYTES } = require('../utils/backup');
+
+// Import files are kept in memory
+const importFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: MAX_FILES, fileSize: MAX_BYTES }
+}).array('files');
+
+// Backup archives are larger and go to a temporary file instead
+const backupArchive = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { files: 1, fileSize: RESTORE_MAX_BYTES }
+}).single('archive');
+
+// Room for multipart boundaries and form fields on top of the file contents
+const FORM_OVERHEAD_BYTES = 1024 * 1024;
+
+// Run a multer parser and answer upload errors with 400 (413 if too large).
+// multer only limits each file, so the request as a whole is limited by its
+// declared length before anything is read.
+function handleUpload(parse, maxBytes) {
+  return (req, res, next) => {
+    const length = Number(req.headers['content-length']);
+    if (!req.headers['content-length'] || !Number.isFinite(length)) {
+      return res.status(411).json({ message: 'Uploads need a Content-Length' });
+    }
+    if (length > maxBytes + FORM_OVERHEAD_BYTES) {
+      return res.status(413).json({ message: `Uploads can be at most ${maxBytes / 1024 / 1024} MB` });
+    }
+    parse(req, res, err => {
+      if (err instanceof multer.MulterError) {
+        const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ message: 'Invalid upload', error: err.message });
+      }
+      next(err);
+    });
+  };
+}
+
+// Files of an import, from the multipart field "files"
+const importUpload = handleUpload(importFiles, MAX_BYTES);
+
+// A backup archive to restore, from the multipart field "archive"
+const restoreUpload = handleUpload(backupArchive, RESTORE_MAX_BYTES);
+
+module.exports = { importUpload, restoreUpload };
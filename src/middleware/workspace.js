@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+
+// Resolve the active workspace for the request and attach it to req.
+// The workspace is picked from the X-Workspace-Id header, the ?workspace
+// query parameter, or the user's default workspace, in that order.
+async function resolveWorkspace(req, res, next) {
+  if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
+
+  try {
+    const requested = req.headers['x-workspace-id'] || req.query.workspace;
+    let workspace = null;
+
+    if (requested) {
+      if (!mongoose.Types.ObjectId.isValid(requested)) {
+        return res.status(400).json({ message: 'Invalid workspace id' });
+      }
+      workspace = await Workspace.findById(requested);
+      if (!workspace) return res.status(404).json({ message: 'Workspace not found' });
+    } else {
+      if (req.user.defaultWorkspace) {
+        workspace = await Workspace.findById(req.user.defaultWorkspace);
+      }
+      if (!workspace || !workspace.getMember(req.user._id)) {
+        workspace = await Workspace.ensurePersonal(req.user);
+      }
+    }
+
+    let role = workspace.roleOf(req.user._id);
+    // Global admins can act on any workspace with admin rights
+    if (!role && req.user.role === 'admin') role = 'admin';
+    if (!role) return res.status(403).json({ message: 'Not a member of this workspace' });
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to resolve workspace', error: err.message });
+  }
+}
+
+// Authorize by workspace role (requires resolveWorkspace first)
+function requireWorkspaceRole(roles = []) {
+  const allowed = Array.isArray(roles) ? roles : [roles];
+  return (req, res, next) => {
+    if (!req.workspace) return res.status(400).json({ message: 'No active workspace' });
+    if (allowed.length && !allowed.includes(req.workspaceRole)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    next();
+  };
+}
+
+module.exports = { resolveWorkspace, requireWorkspaceRole };
@@ -4,7 +4,7 @@ const ActivitySchema = new mongoose.Schema(
   {
     action: { 
       type: String, 
-      enum: ['created', 'updated', 'deleted', 'version_created'], 
+      enum: ['created', 'updated', 'deleted', 'restored', 'purged', 'version_created'], 
       required: true 
     },
     document: { 
@@ -12,6 +12,11 @@ const ActivitySchema = new mongoose.Schema(
       ref: 'Document', 
       required: true 
     },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      index: true
+    },
     documentTitle: {
       type: String,
       required: true
@@ -63,6 +68,8 @@ ActivitySchema.virtual('actionIcon').get(function() {
     created: 'add',
     updated: 'edit',
     deleted: 'delete',
+    restored: 'restore_from_trash',
+    purged: 'delete_forever',
     version_created: 'history'
   };
   return icons[this.action] || 'info';
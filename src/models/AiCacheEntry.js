@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Persistent tier of the AI result cache (see utils/aiCache)
+const AiCacheEntrySchema = new mongoose.Schema(
+  {
+    // Hash of operation, model, prompt version and normalized input
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // summarize, tags, embed, qa
+    operation: {
+      type: String,
+      required: true
+    },
+    model: { type: String, default: null },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    // Approximate size of the value in bytes
+    size: { type: Number, default: 0 },
+    hits: { type: Number, default: 0 },
+    lastHitAt: { type: Date, default: Date.now },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  { timestamps: { createdAt: 'createdAt', updatedAt: false } }
+);
+
+AiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Least recently used entries are pruned first
+AiCacheEntrySchema.index({ lastHitAt: 1 });
+
+module.exports = mongoose.model('AiCacheEntry', AiCacheEntrySchema);
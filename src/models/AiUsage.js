@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One entry per AI call, for quotas and cost accounting
+const AiUsageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null
+    },
+    // summarize, tags, embed, qa, qa_stream, rewrite
+    operation: {
+      type: String,
+      required: true
+    },
+    provider: { type: String, required: true },
+    model: { type: String, default: null },
+    inputTokens: { type: Number, default: 0 },
+    outputTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    // Whether the token counts are estimates (the provider did not report them)
+    estimated: { type: Boolean, default: false },
+    costUsd: { type: Number, default: 0 },
+    durationMs: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ['ok', 'error'],
+      default: 'ok'
+    },
+    error: { type: String, default: null }
+  },
+  { timestamps: { createdAt: 'createdAt', updatedAt: false } }
+);
+
+AiUsageSchema.index({ user: 1, createdAt: -1 });
+AiUsageSchema.index({ workspace: 1, createdAt: -1 });
+AiUsageSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AiUsage', AiUsageSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = ['documents:read', 'documents:write', 'ai:qa', 'workspaces:read'];
+const KEY_PREFIX = 'kh_';
+
+// Personal access tokens for scripts and integrations.
+// Only a SHA-256 hash of the key is stored; the plain key is shown once.
+const ApiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    prefix: {
+      type: String,
+      required: true
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      default: []
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedIp: {
+      type: String,
+      default: ''
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+function hash(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Create a key and return both the stored record and the plain key
+ApiKeySchema.statics.generate = async function({ user, name, scopes, expiresAt }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const record = await this.create({
+    user,
+    name,
+    scopes,
+    expiresAt: expiresAt || null,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hash(key)
+  });
+  return { record, key };
+};
+
+ApiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hash(String(key || '')) });
+};
+
+ApiKeySchema.statics.isApiKey = function(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+};
+
+ApiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const SourceSchema = new mongoose.Schema(
+  {
+    id: { type: Number, required: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document' },
+    title: { type: String, default: '' },
+    passages: [{
+      _id: false,
+      text: String,
+      start: Number,
+      end: Number
+    }]
+  },
+  { _id: false }
+);
+
+const MessageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ['user', 'assistant'],
+      required: true
+    },
+    content: {
+      type: String,
+      required: true
+    },
+    // Standalone form of a follow-up question, used for retrieval
+    rewrittenQuestion: {
+      type: String,
+      default: null
+    },
+    sources: {
+      type: [SourceSchema],
+      default: []
+    },
+    citations: {
+      type: [Number],
+      default: []
+    }
+  },
+  { timestamps: { createdAt: 'createdAt', updatedAt: false } }
+);
+
+const ConversationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true
+    },
+    title: {
+      type: String,
+      default: 'New conversation',
+      trim: true
+    },
+    messages: {
+      type: [MessageSchema],
+      default: []
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { timestamps: true }
+);
+
+ConversationSchema.index({ user: 1, workspace: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -1,49 +1,46 @@
 const mongoose = require('mongoose');
-const diff = require('diff');
+const DocumentVersion = require('./DocumentVersion');
+const Workspace = require('./Workspace');
+const { policyFor, applyRetention } = require('../utils/versionRetention');
+const { FORMATS, sanitizeHtml, contentMetadata } = require('../utils/content');
 
-const VersionSchema = new mongoose.Schema(
+// Folder paths are stored as "a/b/c", without empty segments or outer slashes
+function normalizeFolder(value) {
+  return String(value || '')
+    .split(/[\\/]+/)
+    .map(part => part.trim())
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/');
+}
+
+const ShareSchema = new mongoose.Schema(
   {
-    versionNumber: { type: Number, required: true },
-    title: { type: String, required: true },
-    content: { type: String, required: true },
-    summary: { type: String, default: '' },
-    tags: { type: [String], default: [] },
-    editedBy: { 
-      type: mongoose.Schema.Types.ObjectId, 
-      ref: 'User',
-      required: true 
+    principalType: {
+      type: String,
+      enum: ['user', 'group'],
+      required: true
     },
-    changes: {
-      title: { type: Boolean, default: false },
-      content: { type: Boolean, default: false },
-      tags: { type: Boolean, default: false },
-      summary: { type: Boolean, default: false }
-    },
-    diff: {
-      title: { type: String, default: '' },
-      content: { type: String, default: '' },
-      tags: { type: String, default: '' },
-      summary: { type: String, default: '' }
+    principal: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'commenter', 'editor'],
+      default: 'viewer'
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
     }
   },
-  { 
-    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true }
-  }
+  { _id: false }
 );
 
-// Add a virtual for formatted date
-VersionSchema.virtual('formattedDate').get(function() {
-  return this.createdAt.toLocaleString('en-US', {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
-});
-
 const DocumentSchema = new mongoose.Schema(
   {
     title: { 
@@ -56,6 +53,40 @@ const DocumentSchema = new mongoose.Schema(
       type: String, 
       required: true 
     },
+    // How `content` is written; HTML is sanitized on save
+    format: {
+      type: String,
+      enum: FORMATS,
+      default: 'plain'
+    },
+    // Derived from content (see utils/content): text for summaries, embeddings
+    // and search, the heading outline, and reading metadata
+    plainText: {
+      type: String,
+      default: '',
+      select: false
+    },
+    outline: [{
+      _id: false,
+      level: Number,
+      text: String,
+      id: String
+    }],
+    wordCount: {
+      type: Number,
+      default: 0
+    },
+    // Minutes
+    readingTime: {
+      type: Number,
+      default: 0
+    },
+    // Folder the document is filed under, e.g. "guides/setup" ('' = top level)
+    folder: {
+      type: String,
+      default: '',
+      set: normalizeFolder
+    },
     summary: { 
       type: String, 
       default: '' 
@@ -70,10 +101,21 @@ const DocumentSchema = new mongoose.Schema(
       default: [],
       select: false
     },
+    // Embedding space of `embedding`, see utils/ai embeddingSpace
+    embeddingSpace: {
+      type: String,
+      default: null
+    },
     currentVersion: { 
       type: Number, 
       default: 1 
     },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      index: true
+    },
     createdBy: { 
       type: mongoose.Schema.Types.ObjectId, 
       ref: 'User', 
@@ -84,13 +126,44 @@ const DocumentSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    versions: { 
-      type: [VersionSchema], 
-      default: [] 
+    visibility: {
+      type: String,
+      enum: ['private', 'shared', 'workspace'],
+      default: 'workspace'
+    },
+    shares: {
+      type: [ShareSchema],
+      default: []
+    },
+    // Status of the latest AI enrichment job (summary, tags, embeddings)
+    enrichment: {
+      status: {
+        type: String,
+        enum: ['pending', 'running', 'done', 'failed', null],
+        default: null
+      },
+      job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        default: null
+      },
+      attempts: { type: Number, default: 0 },
+      error: { type: String, default: null },
+      updatedAt: { type: Date, default: null }
     },
     isDeleted: {
       type: Boolean,
       default: false
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
     }
   },
   { 
@@ -100,113 +173,116 @@ const DocumentSchema = new mongoose.Schema(
   }
 );
 
-// Add text index for search
+// Add text index for search (over the plain text, so markup is not indexed)
 DocumentSchema.index(
   { 
     title: 'text', 
-    content: 'text',
+    plainText: 'text',
     summary: 'text',
     tags: 'text'
   },
   {
+    name: 'document_text',
     weights: {
       title: 10,
       tags: 5,
       summary: 2,
-      content: 1
+      plainText: 1
     }
   }
 );
 
-// Add a virtual for the latest version
-DocumentSchema.virtual('latestVersion').get(function() {
-  return this.versions[this.versions.length - 1] || null;
-});
+// Workspace-scoped listing sorted by recency
+DocumentSchema.index({ workspace: 1, updatedAt: -1 });
+
+// Listing by folder
+DocumentSchema.index({ workspace: 1, folder: 1 });
+
+// Lookup of documents shared with a user or group
+DocumentSchema.index({ 'shares.principal': 1 });
+
+// Sanitize HTML content and recompute the metadata derived from the content
+DocumentSchema.methods.prepareContent = function() {
+  if (this.format === 'html') {
+    const clean = sanitizeHtml(this.content);
+    if (clean !== this.content) this.content = clean;
+  }
+  Object.assign(this, contentMetadata(this.content, this.format));
+};
 
-// Add a virtual for the number of versions
-DocumentSchema.virtual('versionCount').get(function() {
-  return this.versions.length;
+DocumentSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('content') || this.isModified('format')) this.prepareContent();
+  next();
 });
 
-// Helper method to create a new version
+// Snapshot of the fields tracked by version history
+DocumentSchema.methods.snapshot = function() {
+  return {
+    title: this.title,
+    content: this.content,
+    summary: this.summary,
+    tags: [...this.tags]
+  };
+};
+
+// Helper method to create a new version from the current state.
+// Versions live in their own collection; the workspace's retention policy
+// decides how many are kept.
 DocumentSchema.methods.createVersion = async function(user, changes = {}) {
+  const session = this.$session();
+  const previous = await DocumentVersion.latestFor(this._id).session(session).lean();
+  // The version should hold the content as it will be stored
+  this.prepareContent();
+
   this.currentVersion += 1;
   this.lastUpdatedBy = user._id;
-  
-  // Create a new version with the current state
-  const newVersion = {
+
+  const normalized = {
+    title: changes.title || false,
+    content: changes.content || false,
+    tags: changes.tags || false,
+    summary: changes.summary || false
+  };
+  const snapshot = this.snapshot();
+
+  const [newVersion] = await DocumentVersion.create([{
+    document: this._id,
+    workspace: this.workspace,
     versionNumber: this.currentVersion,
-    title: this.title,
-    content: this.content,
-    summary: this.summary,
-    tags: [...this.tags],
+    ...snapshot,
+    format: this.format,
     editedBy: user._id,
-    changes: {
-      title: changes.title || false,
-      content: changes.content || false,
-      tags: changes.tags || false,
-      summary: changes.summary || false
-    }
-  };
+    changes: normalized,
+    diff: DocumentVersion.computeDiff(previous, snapshot, normalized)
+  }], { session });
 
-  // If we have a previous version, calculate diffs
-  if (this.versions.length > 0) {
-    const prevVersion = this.versions[this.versions.length - 1];
-    
-    // Calculate diff for title
-    if (changes.title) {
-      const titleDiff = diff.diffWords(prevVersion.title, this.title);
-      newVersion.diff.title = titleDiff.map(part => ({
-        value: part.value,
-        added: part.added,
-        removed: part.removed
-      }));
-    }
-    
-    // Calculate diff for content (only if content changed)
-    if (changes.content) {
-      const contentDiff = diff.diffWords(prevVersion.content, this.content);
-      newVersion.diff.content = contentDiff.map(part => ({
-        value: part.value,
-        added: part.added,
-        removed: part.removed
-      }));
-    }
-    
-    // For tags and summary, just store the previous values
-    if (changes.tags) {
-      newVersion.diff.tags = {
-        from: prevVersion.tags,
-        to: this.tags
-      };
-    }
-    
-    if (changes.summary) {
-      newVersion.diff.summary = {
-        from: prevVersion.summary,
-        to: this.summary
-      };
-    }
-  }
-  
-  // Add the new version
-  this.versions.push(newVersion);
-  
-  // Keep only the last 10 versions (plus the current one)
-  if (this.versions.length > 10) {
-    this.versions = this.versions.slice(-10);
-  }
-  
   await this.save();
+
+  const workspace = await Workspace.findById(this.workspace).select('versionRetention').session(session);
+  await applyRetention(this._id, policyFor(workspace), session);
+
   return newVersion;
 };
 
 // Soft delete method
-DocumentSchema.methods.softDelete = async function() {
+DocumentSchema.methods.softDelete = async function(user = null) {
   this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = user ? user._id : null;
   await this.save();
 };
 
+// Bring a soft-deleted document back from the trash
+DocumentSchema.methods.restoreFromTrash = async function(user) {
+  this.isDeleted = false;
+  this.deletedAt = null;
+  this.deletedBy = null;
+  this.lastUpdatedBy = user._id;
+  await this.save();
+};
+
+DocumentSchema.statics.normalizeFolder = normalizeFolder;
+
 // Static method to find non-deleted documents
 DocumentSchema.statics.findActive = function() {
   return this.find({ isDeleted: { $ne: true } });
@@ -217,26 +293,35 @@ DocumentSchema.query.active = function() {
   return this.where({ isDeleted: { $ne: true } });
 };
 
-// Pre-save hook to ensure versions are properly maintained
+// Query helper for soft-deleted documents
+DocumentSchema.query.trashed = function() {
+  return this.where({ isDeleted: true });
+};
+
+// Remember whether the document is new so the initial version can be recorded
 DocumentSchema.pre('save', function(next) {
-  if (this.isNew) {
-    // For new documents, create the initial version
-    this.versions.push({
-      versionNumber: 1,
-      title: this.title,
-      content: this.content,
-      summary: this.summary,
-      tags: [...this.tags],
-      editedBy: this.createdBy,
-      changes: {
-        title: true,
-        content: true,
-        tags: true,
-        summary: true
-      }
-    });
-  }
+  this.$locals.wasNew = this.isNew;
   next();
 });
 
+// Record version 1 once a new document has been saved
+DocumentSchema.post('save', async function(doc) {
+  if (!doc.$locals.wasNew) return;
+  doc.$locals.wasNew = false;
+  await DocumentVersion.create([{
+    document: doc._id,
+    workspace: doc.workspace,
+    versionNumber: 1,
+    ...doc.snapshot(),
+    format: doc.format,
+    editedBy: doc.createdBy,
+    changes: {
+      title: true,
+      content: true,
+      tags: true,
+      summary: true
+    }
+  }], { session: doc.$session() });
+});
+
 module.exports = mongoose.model('Document', DocumentSchema);
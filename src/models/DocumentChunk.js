@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One embedded section of a document. Offsets point into the document content.
+const DocumentChunkSchema = new mongoose.Schema(
+  {
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+      required: true
+    },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      index: true
+    },
+    index: { type: Number, required: true },
+    // Heading path of the section, e.g. "Deploy > Staging"; start/end are
+    // offsets into the document's plain text
+    heading: { type: String, default: '' },
+    start: { type: Number, required: true },
+    end: { type: Number, required: true },
+    text: { type: String, required: true },
+    // Hash of heading + text, used to reuse embeddings of unchanged chunks
+    hash: { type: String, required: true },
+    embedding: {
+      type: [Number],
+      default: [],
+      select: false
+    },
+    // "provider:model:dimensions" the embedding was made in (see utils/ai embeddingSpace);
+    // null for chunks embedded before spaces were recorded
+    embeddingSpace: {
+      type: String,
+      default: null,
+      index: true
+    }
+  },
+  { timestamps: true }
+);
+
+DocumentChunkSchema.index({ document: 1, index: 1 }, { unique: true });
+
+// Id of a chunk's entry in the vector index
+DocumentChunkSchema.statics.key = function(documentId, hash) {
+  return `${documentId}:${hash}`;
+};
+
+module.exports = mongoose.model('DocumentChunk', DocumentChunkSchema);
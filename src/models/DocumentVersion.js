@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const diff = require('diff');
+
+const DocumentVersionSchema = new mongoose.Schema(
+  {
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+      required: true
+    },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      index: true
+    },
+    versionNumber: { type: Number, required: true },
+    title: { type: String, required: true },
+    content: { type: String, required: true },
+    format: { type: String, default: 'plain' },
+    summary: { type: String, default: '' },
+    tags: { type: [String], default: [] },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    changes: {
+      title: { type: Boolean, default: false },
+      content: { type: Boolean, default: false },
+      tags: { type: Boolean, default: false },
+      summary: { type: Boolean, default: false }
+    },
+    // Changes against the preceding version, stored as word-diff parts
+    // (title/content) or { from, to } pairs (tags/summary)
+    diff: {
+      title: { type: mongoose.Schema.Types.Mixed, default: null },
+      content: { type: mongoose.Schema.Types.Mixed, default: null },
+      tags: { type: mongoose.Schema.Types.Mixed, default: null },
+      summary: { type: mongoose.Schema.Types.Mixed, default: null }
+    }
+  },
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+DocumentVersionSchema.index({ document: 1, versionNumber: -1 }, { unique: true });
+
+// Add a virtual for formatted date
+DocumentVersionSchema.virtual('formattedDate').get(function() {
+  return this.createdAt.toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+});
+
+function wordDiff(from, to) {
+  return diff.diffWords(from || '', to || '').map(part => ({
+    value: part.value,
+    added: Boolean(part.added),
+    removed: Boolean(part.removed)
+  }));
+}
+
+// Compute the stored diff between two snapshots
+DocumentVersionSchema.statics.computeDiff = function(prev, next, changes = {}) {
+  const result = { title: null, content: null, tags: null, summary: null };
+  if (!prev) return result;
+  if (changes.title) result.title = wordDiff(prev.title, next.title);
+  if (changes.content) result.content = wordDiff(prev.content, next.content);
+  if (changes.tags) result.tags = { from: prev.tags || [], to: next.tags || [] };
+  if (changes.summary) result.summary = { from: prev.summary || '', to: next.summary || '' };
+  return result;
+};
+
+// Latest stored version of a document (or null)
+DocumentVersionSchema.statics.latestFor = function(documentId) {
+  return this.findOne({ document: documentId }).sort({ versionNumber: -1 });
+};
+
+module.exports = mongoose.model('DocumentVersion', DocumentVersionSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+const JobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'pending'
+    },
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+      index: true
+    },
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Progress of long-running jobs, kept across attempts so they can resume
+    progress: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5
+    },
+    // Earliest time the job may (re)run; pushed back between retries
+    runAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedAt: {
+      type: Date,
+      default: null
+    },
+    lockedBy: {
+      type: String,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    // One entry per failed attempt
+    failures: [{
+      _id: false,
+      attempt: Number,
+      message: String,
+      at: { type: Date, default: Date.now }
+    }],
+    startedAt: Date,
+    finishedAt: Date,
+    // Set when the job ran out of attempts and was dead-lettered
+    deadLetteredAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+// Workers claim the oldest due pending job
+JobSchema.index({ status: 1, runAt: 1 });
+
+JobSchema.statics.STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('Job', JobSchema);
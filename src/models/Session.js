@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A login session. Each session is one refresh token family: the refresh
+// token rotates on every use and earlier tokens are remembered so reuse of
+// a rotated token can be detected.
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    ip: {
+      type: String,
+      default: ''
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+// Let Mongo clean up expired sessions
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+SessionSchema.methods.revoke = async function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+};
+
+// Revoke every active session of a user
+SessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use tokens sent to users by email (password reset, email verification).
+// Only a SHA-256 hash of the token is stored.
+const UserTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    type: {
+      type: String,
+      enum: ['password_reset', 'email_verification'],
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+// Let Mongo clean up expired tokens
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function hash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a new token, invalidating any unused token of the same type
+UserTokenSchema.statics.issue = async function(userId, type, ttlMs) {
+  await this.updateMany({ user: userId, type, usedAt: null }, { $set: { usedAt: new Date() } });
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hash(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Atomically mark a valid token as used and return it (or null)
+UserTokenSchema.statics.consume = function(token, type) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hash(String(token || '')),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('UserToken', UserTokenSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const WORKSPACE_ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+const MemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: WORKSPACE_ROLES,
+      default: 'member'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const GroupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  { timestamps: true }
+);
+
+const WorkspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    // Version retention policy, see utils/versionRetention (null = deployment default)
+    versionRetention: {
+      type: String,
+      default: null
+    },
+    // AI quota overrides for this workspace (null = deployment default, 0 = unlimited)
+    aiQuota: {
+      dailyCalls: { type: Number, default: null },
+      dailyTokens: { type: Number, default: null },
+      monthlyCalls: { type: Number, default: null },
+      monthlyTokens: { type: Number, default: null }
+    },
+    personal: {
+      type: Boolean,
+      default: false
+    },
+    members: {
+      type: [MemberSchema],
+      default: []
+    },
+    groups: {
+      type: [GroupSchema],
+      default: []
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+WorkspaceSchema.index({ 'members.user': 1 });
+
+// Add a virtual for the number of members
+WorkspaceSchema.virtual('memberCount').get(function() {
+  return this.members.length;
+});
+
+// Get the membership entry for a user (or null)
+WorkspaceSchema.methods.getMember = function(userId) {
+  return this.members.find(m => String(m.user._id || m.user) === String(userId)) || null;
+};
+
+// Get the role a user holds in this workspace (or null)
+WorkspaceSchema.methods.roleOf = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+// Get the ids of the groups a user belongs to
+WorkspaceSchema.methods.groupIdsOf = function(userId) {
+  return this.groups
+    .filter(g => g.members.some(m => String(m._id || m) === String(userId)))
+    .map(g => g._id);
+};
+
+// Static method to find all workspaces a user belongs to
+WorkspaceSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.user': userId });
+};
+
+// Create a personal workspace for a user if they have none yet
+WorkspaceSchema.statics.ensurePersonal = async function(user) {
+  const existing = await this.findOne({ 'members.user': user._id }).sort({ createdAt: 1 });
+  if (existing) return existing;
+  return this.create({
+    name: `${user.name}'s workspace`,
+    personal: true,
+    createdBy: user._id,
+    members: [{ user: user._id, role: 'owner' }]
+  });
+};
+
+WorkspaceSchema.statics.ROLES = WORKSPACE_ROLES;
+
+module.exports = mongoose.model('Workspace', WorkspaceSchema);
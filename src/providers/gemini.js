@@ -0,0 +1,60 @@
+// Google Gemini through @google/generative-ai
+
+function createGeminiProvider({ chatModel, embeddingModel, temperature, maxOutputTokens, timeoutMs }) {
+  if (!process.env.GEMINI_API_KEY) return null;
+  let GoogleGenerativeAI;
+  try {
+    ({ GoogleGenerativeAI } = require('@google/generative-ai'));
+  } catch (_) {
+    // library not installed
+    return null;
+  }
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+  function model(name, options) {
+    const generationConfig = {};
+    const temp = options.temperature !== undefined ? options.temperature : temperature;
+    if (temp !== undefined) generationConfig.temperature = temp;
+    if (maxOutputTokens) generationConfig.maxOutputTokens = maxOutputTokens;
+    return genAI.getGenerativeModel({ model: name, generationConfig });
+  }
+
+  function reportUsage(resp, options) {
+    const meta = resp && resp.usageMetadata;
+    if (meta && options.onUsage) {
+      options.onUsage({ inputTokens: meta.promptTokenCount || 0, outputTokens: meta.candidatesTokenCount || 0 });
+    }
+  }
+
+  async function generate(prompt, options = {}) {
+    const result = await model(chatModel, options).generateContent(prompt, { signal: options.signal, timeout: timeoutMs });
+    const resp = await result.response;
+    reportUsage(resp, options);
+    return resp.text();
+  }
+
+  async function* stream(prompt, options = {}) {
+    const result = await model(chatModel, options).generateContentStream(prompt, { signal: options.signal, timeout: timeoutMs });
+    for await (const chunk of result.stream) {
+      if (options.signal && options.signal.aborted) return;
+      const text = chunk.text();
+      if (text) yield text;
+    }
+    reportUsage(await result.response, options);
+  }
+
+  async function embed(text, options = {}) {
+    const res = await genAI.getGenerativeModel({ model: embeddingModel })
+      .embedContent(text, { signal: options.signal, timeout: timeoutMs });
+    return res.embedding.values || [];
+  }
+
+  return { name: 'gemini', chatModel, embeddingModel, generate, stream, embed };
+}
+
+createGeminiProvider.defaults = {
+  chatModel: 'gemini-1.5-flash',
+  embeddingModel: 'text-embedding-004'
+};
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,64 @@
+// AI providers for text generation and embeddings
+// Chosen per deployment with AI_PROVIDER (and optionally EMBEDDING_PROVIDER):
+// "gemini", "openai" (any OpenAI-compatible endpoint), "mock" or "none".
+// Without configuration Gemini is used when GEMINI_API_KEY is set.
+// A provider implements:
+//   generate(prompt, { temperature, signal }) -> text
+//   stream(prompt, { temperature, signal })   -> async iterable of text chunks
+//   embed(text, { signal })                   -> number[]
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+const providers = new Map();
+let override = null;
+
+function optionalNumber(value) {
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+function providerName(kind) {
+  const configured = kind === 'embedding'
+    ? process.env.EMBEDDING_PROVIDER || process.env.AI_PROVIDER
+    : process.env.AI_PROVIDER;
+  return (configured || (process.env.GEMINI_API_KEY ? 'gemini' : 'none')).toLowerCase();
+}
+
+function configFor(name) {
+  const create = PROVIDERS[name];
+  return {
+    chatModel: process.env.AI_CHAT_MODEL || create.defaults.chatModel,
+    embeddingModel: process.env.AI_EMBEDDING_MODEL || create.defaults.embeddingModel,
+    temperature: optionalNumber(process.env.AI_TEMPERATURE),
+    maxOutputTokens: optionalNumber(process.env.AI_MAX_OUTPUT_TOKENS),
+    timeoutMs: Number(process.env.AI_TIMEOUT_MS || 30000)
+  };
+}
+
+// The provider for 'chat' or 'embedding' work, or null when none is available
+function getProvider(kind = 'chat') {
+  if (override) return override;
+  const name = providerName(kind);
+  if (name === 'none') return null;
+  if (!PROVIDERS[name]) throw new Error(`Unknown AI provider "${name}" (use ${Object.keys(PROVIDERS).join(', ')} or none)`);
+  if (!providers.has(name)) {
+    const provider = PROVIDERS[name](configFor(name));
+    if (!provider) console.warn(`AI provider "${name}" is not available; using fallbacks`);
+    providers.set(name, provider);
+  }
+  return providers.get(name);
+}
+
+// Use a given provider (e.g. a mock in tests) for all work; null restores the configured ones
+function setProvider(provider) {
+  override = provider;
+}
+
+module.exports = { PROVIDERS, getProvider, setProvider };
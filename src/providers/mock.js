@@ -0,0 +1,43 @@
+// Deterministic provider for tests and offline development.
+// The same prompt always gets the same response, and embeddings are hashed
+// bags of words, so texts sharing words are similar.
+
+const crypto = require('crypto');
+
+const DIMENSIONS = Number(process.env.MOCK_EMBEDDING_DIMENSIONS || 64);
+
+function digest(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function createMockProvider({ chatModel, embeddingModel }) {
+  async function generate(prompt) {
+    return `Mock response ${digest(prompt).slice(0, 12)}`;
+  }
+
+  async function* stream(prompt, options = {}) {
+    for (const word of (await generate(prompt)).split(/(?<= )/)) {
+      if (options.signal && options.signal.aborted) return;
+      yield word;
+    }
+  }
+
+  async function embed(text) {
+    const vector = new Array(DIMENSIONS).fill(0);
+    for (const word of (text || '').toLowerCase().match(/[a-z0-9]+/g) || []) {
+      const hash = parseInt(digest(word).slice(0, 8), 16);
+      vector[hash % DIMENSIONS] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  }
+
+  return { name: 'mock', chatModel, embeddingModel, generate, stream, embed };
+}
+
+createMockProvider.defaults = {
+  chatModel: 'mock-chat',
+  embeddingModel: 'mock-embedding'
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,105 @@
+// Any OpenAI-compatible HTTP API: OpenAI itself, or a local server such as
+// Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1)
+
+const { withTimeout } = require('./timeout');
+
+function createOpenAIProvider({ chatModel, embeddingModel, temperature, maxOutputTokens, timeoutMs }) {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  async function post(path, body, signal) {
+    const timeout = withTimeout(signal, timeoutMs);
+    try {
+      const res = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify(body),
+        signal: timeout.signal
+      });
+      if (!res.ok) {
+        const detail = await res.text().catch(() => '');
+        throw new Error(`${baseUrl}${path} responded ${res.status}: ${detail.slice(0, 200)}`);
+      }
+      return { res, timeout };
+    } catch (err) {
+      timeout.clear();
+      throw err;
+    }
+  }
+
+  function chatBody(prompt, options, stream) {
+    const body = { model: chatModel, messages: [{ role: 'user', content: prompt }], stream };
+    const temp = options.temperature !== undefined ? options.temperature : temperature;
+    if (temp !== undefined) body.temperature = temp;
+    if (maxOutputTokens) body.max_tokens = maxOutputTokens;
+    // ask for token counts in the final chunk of a stream
+    if (stream) body.stream_options = { include_usage: true };
+    return body;
+  }
+
+  function reportUsage(usage, options) {
+    if (usage && options.onUsage) {
+      options.onUsage({ inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+    }
+  }
+
+  async function generate(prompt, options = {}) {
+    const { res, timeout } = await post('/chat/completions', chatBody(prompt, options, false), options.signal);
+    try {
+      const data = await res.json();
+      reportUsage(data.usage, options);
+      return (data.choices && data.choices[0] && data.choices[0].message.content) || '';
+    } finally {
+      timeout.clear();
+    }
+  }
+
+  // Server-Sent Events: "data: {json}" lines, ending with "data: [DONE]"
+  async function* stream(prompt, options = {}) {
+    const { res, timeout } = await post('/chat/completions', chatBody(prompt, options, true), options.signal);
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const bytes of res.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data) continue;
+          if (data === '[DONE]') return;
+          const event = JSON.parse(data);
+          reportUsage(event.usage, options);
+          const choice = (event.choices || [])[0];
+          const delta = choice && choice.delta && choice.delta.content;
+          if (delta) yield delta;
+        }
+      }
+    } finally {
+      timeout.clear();
+    }
+  }
+
+  async function embed(text, options = {}) {
+    const { res, timeout } = await post('/embeddings', { model: embeddingModel, input: text }, options.signal);
+    try {
+      const data = await res.json();
+      reportUsage(data.usage, options);
+      return (data.data && data.data[0] && data.data[0].embedding) || [];
+    } finally {
+      timeout.clear();
+    }
+  }
+
+  return { name: 'openai', chatModel, embeddingModel, generate, stream, embed };
+}
+
+createOpenAIProvider.defaults = {
+  chatModel: 'gpt-4o-mini',
+  embeddingModel: 'text-embedding-3-small'
+};
+
+module.exports = { createOpenAIProvider };
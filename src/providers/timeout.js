@@ -0,0 +1,22 @@
+// Combine a caller's AbortSignal with a timeout.
+// Returns { signal, clear }; call clear() once the request has finished.
+function withTimeout(signal, timeoutMs) {
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal && signal.reason);
+  if (signal) {
+    if (signal.aborted) abort();
+    else signal.addEventListener('abort', abort, { once: true });
+  }
+  const timer = timeoutMs
+    ? setTimeout(() => controller.abort(new Error(`AI request timed out after ${timeoutMs}ms`)), timeoutMs)
+    : null;
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  };
+}
+
+module.exports = { withTimeout };
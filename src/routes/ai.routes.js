@@ -1,8 +1,38 @@
 const router = require('express').Router();
-const { teamQA } = require('../controllers/ai.controller');
-const { authenticate } = require('../middleware/auth');
+const {
+  teamQA,
+  listConversations,
+  startConversation,
+  getConversation,
+  continueConversation,
+  renameConversation,
+  deleteConversation,
+  getUsage,
+  usageReport,
+  getCacheStats,
+  clearCache
+} = require('../controllers/ai.controller');
+const { authenticate, authorize, requireScope, requireSession } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { limitAi } = require('../middleware/aiLimits');
 
 // Team Q&A using stored documents as context
-router.post('/qa', authenticate, teamQA);
+router.post('/qa', authenticate, requireScope('ai:qa'), resolveWorkspace, limitAi, teamQA);
+
+// Conversational Q&A with stored history
+router.get('/conversations', authenticate, requireScope('ai:qa'), resolveWorkspace, listConversations);
+router.post('/conversations', authenticate, requireScope('ai:qa'), resolveWorkspace, limitAi, startConversation);
+router.get('/conversations/:id', authenticate, requireScope('ai:qa'), resolveWorkspace, getConversation);
+router.post('/conversations/:id/messages', authenticate, requireScope('ai:qa'), resolveWorkspace, limitAi, continueConversation);
+router.put('/conversations/:id', authenticate, requireScope('ai:qa'), resolveWorkspace, renameConversation);
+router.delete('/conversations/:id', authenticate, requireScope('ai:qa'), resolveWorkspace, deleteConversation);
+
+// Usage and quotas
+router.get('/usage', authenticate, requireScope('ai:qa'), resolveWorkspace, getUsage);
+router.get('/usage/report', authenticate, requireSession, authorize('admin'), usageReport);
+
+// Result cache
+router.get('/cache', authenticate, requireSession, authorize('admin'), getCacheStats);
+router.delete('/cache', authenticate, requireSession, authorize('admin'), clearCache);
 
 module.exports = router;
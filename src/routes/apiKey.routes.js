@@ -0,0 +1,16 @@
+const router = require('express').Router();
+const {
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} = require('../controllers/apiKey.controller');
+const { authenticate, requireSession } = require('../middleware/auth');
+
+// Keys can only be managed from an interactive login, never with another key
+router.get('/', authenticate, requireSession, listApiKeys);
+router.post('/', authenticate, requireSession, createApiKey);
+router.put('/:id', authenticate, requireSession, updateApiKey);
+router.delete('/:id', authenticate, requireSession, revokeApiKey);
+
+module.exports = router;
@@ -1,9 +1,39 @@
 const router = require('express').Router();
-const { register, login, me } = require('../controllers/auth.controller');
-const { authenticate } = require('../middleware/auth');
+const {
+  register,
+  login,
+  me,
+  refresh,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword
+} = require('../controllers/auth.controller');
+const { authenticate, requireSession } = require('../middleware/auth');
 
 router.post('/register', register);
 router.post('/login', login);
 router.get('/me', authenticate, me);
 
+// Token lifecycle
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/logout-all', authenticate, requireSession, logoutAll);
+
+// Sessions
+router.get('/sessions', authenticate, requireSession, listSessions);
+router.delete('/sessions/:id', authenticate, requireSession, revokeSession);
+
+// Password and email verification
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/verify-email/resend', authenticate, requireSession, resendVerification);
+router.post('/change-password', authenticate, requireSession, changePassword);
+
 module.exports = router;
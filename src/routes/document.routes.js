@@ -1,34 +1,69 @@
 const router = require('express').Router();
 const {
   createDocument,
+  importDocuments,
   getDocuments,
   getDocumentById,
+  renderDocument,
+  exportDocument,
   updateDocument,
   deleteDocument,
   forceSummarize,
   forceTags,
+  getDocumentJobs,
+  requestEnrichment,
   activityFeed,
   getDocumentVersions,
-  restoreVersion
+  restoreVersion,
+  compareVersions,
+  getShares,
+  grantShare,
+  revokeShare,
+  listTrash,
+  restoreFromTrash,
+  purgeFromTrash
 } = require('../controllers/document.controller');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { limitAi } = require('../middleware/aiLimits');
+const { importUpload } = require('../middleware/upload');
 
 // Activity feed (dashboard sidebar)
-router.get('/activity', authenticate, activityFeed);
+router.get('/activity', authenticate, requireScope('documents:read'), resolveWorkspace, activityFeed);
+
+// Trash
+router.get('/trash', authenticate, requireScope('documents:read'), resolveWorkspace, listTrash);
+router.post('/trash/:id/restore', authenticate, requireScope('documents:write'), resolveWorkspace, restoreFromTrash);
+router.delete('/trash/:id', authenticate, requireScope('documents:write'), resolveWorkspace, purgeFromTrash);
+
+// Bulk import (multipart field "files")
+router.post('/import', authenticate, requireScope('documents:write'), resolveWorkspace, importUpload, importDocuments);
 
 // CRUD
-router.post('/', authenticate, createDocument);
-router.get('/', authenticate, getDocuments);
-router.get('/:id', authenticate, getDocumentById);
-router.put('/:id', authenticate, updateDocument);
-router.delete('/:id', authenticate, deleteDocument);
+router.post('/', authenticate, requireScope('documents:write'), resolveWorkspace, createDocument);
+router.get('/', authenticate, requireScope('documents:read'), resolveWorkspace, getDocuments);
+router.get('/:id', authenticate, requireScope('documents:read'), resolveWorkspace, getDocumentById);
+router.put('/:id', authenticate, requireScope('documents:write'), resolveWorkspace, updateDocument);
+router.delete('/:id', authenticate, requireScope('documents:write'), resolveWorkspace, deleteDocument);
+router.get('/:id/render', authenticate, requireScope('documents:read'), resolveWorkspace, renderDocument);
+router.get('/:id/export', authenticate, requireScope('documents:read'), resolveWorkspace, exportDocument);
 
 // Versioning
-router.get('/:id/versions', authenticate, getDocumentVersions);
-router.post('/:id/versions/:versionNumber/restore', authenticate, restoreVersion);
+router.get('/:id/versions', authenticate, requireScope('documents:read'), resolveWorkspace, getDocumentVersions);
+router.get('/:id/versions/:a/compare/:b', authenticate, requireScope('documents:read'), resolveWorkspace, compareVersions);
+router.post('/:id/versions/:versionNumber/restore', authenticate, requireScope('documents:write'), resolveWorkspace, restoreVersion);
+
+// Sharing
+router.get('/:id/shares', authenticate, requireScope('documents:read'), resolveWorkspace, getShares);
+router.post('/:id/shares', authenticate, requireScope('documents:write'), resolveWorkspace, grantShare);
+router.delete('/:id/shares/:principalId', authenticate, requireScope('documents:write'), resolveWorkspace, revokeShare);
 
 // AI actions
-router.post('/:id/summarize', authenticate, forceSummarize);
-router.post('/:id/tags', authenticate, forceTags);
+router.post('/:id/summarize', authenticate, requireScope('documents:write'), resolveWorkspace, limitAi, forceSummarize);
+router.post('/:id/tags', authenticate, requireScope('documents:write'), resolveWorkspace, limitAi, forceTags);
+
+// Background enrichment
+router.get('/:id/jobs', authenticate, requireScope('documents:read'), resolveWorkspace, getDocumentJobs);
+router.post('/:id/enrich', authenticate, requireScope('documents:write'), resolveWorkspace, limitAi, requestEnrichment);
 
 module.exports = router;
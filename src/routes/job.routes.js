@@ -0,0 +1,15 @@
+const router = require('express').Router();
+const { listJobs, getJob, retryJob, getReindexStatus, startReindex } = require('../controllers/job.controller');
+const { authenticate, authorize, requireSession } = require('../middleware/auth');
+
+// Background job queue (admins only)
+router.get('/', authenticate, requireSession, authorize('admin'), listJobs);
+
+// Re-embedding the corpus
+router.get('/reindex', authenticate, requireSession, authorize('admin'), getReindexStatus);
+router.post('/reindex', authenticate, requireSession, authorize('admin'), startReindex);
+
+router.get('/:id', authenticate, requireSession, authorize('admin'), getJob);
+router.post('/:id/retry', authenticate, requireSession, authorize('admin'), retryJob);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const router = require('express').Router();
+const { stream, createTicket, updatePresence, getPresence } = require('../controllers/realtime.controller');
+const { authenticate, requireScope, authenticateTicket } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+
+// EventSource cannot send headers, so the stream is opened with a ticket from POST /tickets
+router.post('/tickets', authenticate, requireScope('documents:read'), createTicket);
+router.get('/events', authenticateTicket, requireScope('documents:read'), resolveWorkspace, stream);
+
+// Presence
+router.post('/presence', authenticate, requireScope('documents:read'), resolveWorkspace, updatePresence);
+router.get('/presence/:documentId', authenticate, requireScope('documents:read'), resolveWorkspace, getPresence);
+
+module.exports = router;
@@ -1,8 +1,12 @@
 const router = require('express').Router();
-const { textSearch, semanticSearch } = require('../controllers/search.controller');
-const { authenticate } = require('../middleware/auth');
+const { textSearch, semanticSearch, hybridSearch } = require('../controllers/search.controller');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { limitAi } = require('../middleware/aiLimits');
 
-router.get('/text', authenticate, textSearch);
-router.get('/semantic', authenticate, semanticSearch);
+router.get('/text', authenticate, requireScope('documents:read'), resolveWorkspace, textSearch);
+// Semantic and hybrid search embed the query, so they count against AI limits
+router.get('/semantic', authenticate, requireScope('documents:read'), resolveWorkspace, limitAi, semanticSearch);
+router.get('/hybrid', authenticate, requireScope('documents:read'), resolveWorkspace, limitAi, hybridSearch);
 
 module.exports = router;
@@ -0,0 +1,45 @@
+const router = require('express').Router();
+const {
+  listWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  setDefaultWorkspace,
+  exportWorkspace,
+  restoreWorkspaces,
+  addMember,
+  updateMember,
+  removeMember,
+  listGroups,
+  createGroup,
+  updateGroup,
+  deleteGroup
+} = require('../controllers/workspace.controller');
+const { authenticate, authorize, requireScope, requireSession } = require('../middleware/auth');
+const { restoreUpload } = require('../middleware/upload');
+
+// CRUD
+router.get('/', authenticate, requireScope('workspaces:read'), listWorkspaces);
+router.post('/', authenticate, requireSession, createWorkspace);
+router.post('/restore', authenticate, requireSession, authorize('admin'), restoreUpload, restoreWorkspaces);
+router.get('/:id', authenticate, requireScope('workspaces:read'), getWorkspace);
+router.put('/:id', authenticate, requireSession, updateWorkspace);
+router.delete('/:id', authenticate, requireSession, deleteWorkspace);
+router.post('/:id/default', authenticate, requireSession, setDefaultWorkspace);
+
+// Backup
+router.get('/:id/export', authenticate, requireSession, exportWorkspace);
+
+// Members
+router.post('/:id/members', authenticate, requireSession, addMember);
+router.put('/:id/members/:userId', authenticate, requireSession, updateMember);
+router.delete('/:id/members/:userId', authenticate, requireSession, removeMember);
+
+// Groups (used for document sharing)
+router.get('/:id/groups', authenticate, requireScope('workspaces:read'), listGroups);
+router.post('/:id/groups', authenticate, requireSession, createGroup);
+router.put('/:id/groups/:groupId', authenticate, requireSession, updateGroup);
+router.delete('/:id/groups/:groupId', authenticate, requireSession, deleteGroup);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+// Document access control
+// Resolves the role a request's user holds on a document from the workspace
+// role, the document's visibility and its share list.
+
+const ROLE_RANK = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+function isWorkspaceManager(req) {
+  return req.user.role === 'admin' || req.workspaceRole === 'owner' || req.workspaceRole === 'admin';
+}
+
+function higherRole(a, b) {
+  return (ROLE_RANK[a] || 0) >= (ROLE_RANK[b] || 0) ? a : b;
+}
+
+// Best role granted to the user through the document's shares (or null)
+function shareRole(req, doc) {
+  const userId = String(req.user._id);
+  const groupIds = req.workspace.groupIdsOf(req.user._id).map(String);
+  let role = null;
+  for (const share of doc.shares || []) {
+    const principal = String(share.principal);
+    const matches = share.principalType === 'user'
+      ? principal === userId
+      : groupIds.includes(principal);
+    if (matches) role = higherRole(role, share.role);
+  }
+  return role;
+}
+
+// Role the user holds on the document: owner, editor, commenter, viewer or null
+function documentRole(req, doc) {
+  if (String(doc.workspace) !== String(req.workspace._id)) return null;
+  if (isWorkspaceManager(req)) return 'owner';
+
+  const creatorId = doc.createdBy && (doc.createdBy._id || doc.createdBy);
+  if (String(creatorId) === String(req.user._id)) {
+    return req.workspaceRole === 'viewer' ? 'viewer' : 'owner';
+  }
+
+  switch (doc.visibility) {
+    case 'private':
+      return null;
+    case 'shared':
+      return shareRole(req, doc);
+    default:
+      return higherRole('viewer', shareRole(req, doc));
+  }
+}
+
+function canAccess(req, doc, minRole = 'viewer') {
+  const role = documentRole(req, doc);
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+}
+
+// Mongo filter matching the documents the user can at least view
+function accessFilter(req, filter = {}) {
+  const scoped = { ...filter, workspace: req.workspace._id };
+  if (isWorkspaceManager(req)) return scoped;
+
+  const groupIds = req.workspace.groupIdsOf(req.user._id);
+  const clause = {
+    $or: [
+      { createdBy: req.user._id },
+      { visibility: { $in: ['workspace', null] } },
+      {
+        visibility: 'shared',
+        shares: { $elemMatch: { principalType: 'user', principal: req.user._id } }
+      },
+      {
+        visibility: 'shared',
+        shares: { $elemMatch: { principalType: 'group', principal: { $in: groupIds } } }
+      }
+    ]
+  };
+  scoped.$and = [...(scoped.$and || []), clause];
+  return scoped;
+}
+
+module.exports = { ROLE_RANK, documentRole, canAccess, accessFilter, isWorkspaceManager };
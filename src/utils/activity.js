@@ -0,0 +1,36 @@
+const Activity = require('../models/Activity');
+const { publishDocumentEvent } = require('./realtime');
+
+// Helper to log activity
+async function logActivity(action, document, user, versionNumber = null, changes = {}) {
+  try {
+    await Activity.create({
+      action,
+      document: document._id,
+      workspace: document.workspace,
+      documentTitle: document.title,
+      versionNumber: versionNumber || document.currentVersion,
+      user: user._id,
+      changes: {
+        title: changes.title || false,
+        content: changes.content || false,
+        tags: changes.tags || false,
+        summary: changes.summary || false
+      },
+      metadata: {
+        previousVersion: changes.previousVersion || null,
+        newVersion: changes.newVersion || null
+      }
+    });
+  } catch (error) {
+    console.error('Error logging activity:', error);
+  }
+
+  try {
+    publishDocumentEvent(action, document, user);
+  } catch (error) {
+    console.error('Error publishing document event:', error);
+  }
+}
+
+module.exports = { logActivity };
@@ -0,0 +1,296 @@
+// AI helpers: summaries, tags, embeddings and Q&A
+// Work goes to the configured provider (see src/providers); when none is
+// available, or it fails, simple local fallbacks are returned instead.
+
+const { getProvider } = require('../providers');
+const { recordUsage } = require('./usage');
+const aiCache = require('./aiCache');
+const { documentText } = require('./content');
+
+// Bump a prompt's version when changing it, so cached results of the old prompt are not reused
+const PROMPT_VERSIONS = { summarize: 1, tags: 1, qa: 1, embed: 1 };
+
+function chatProvider() {
+  return getProvider('chat');
+}
+
+// Cache identity of a provider call (see utils/aiCache)
+function cacheSpec(operation, provider, input) {
+  const model = operation === 'embed' ? provider.embeddingModel : provider.chatModel;
+  return { model: `${provider.name}:${model}`, version: PROMPT_VERSIONS[operation], input };
+}
+
+// Provider calls go through these wrappers so each one lands in the usage ledger.
+// `usage` is the { user, workspace } the call is made for.
+async function generate(provider, operation, prompt, { usage, ...options } = {}) {
+  const started = Date.now();
+  let reported = null;
+  const record = (output, error) => recordUsage({
+    context: usage, operation, provider: provider.name, model: provider.chatModel,
+    input: prompt, output, reported, durationMs: Date.now() - started, error
+  });
+  try {
+    const output = await provider.generate(prompt, { ...options, onUsage: (u) => { reported = u; } });
+    record(output);
+    return output;
+  } catch (err) {
+    record('', err);
+    throw err;
+  }
+}
+
+async function* generateStream(provider, operation, prompt, { usage, ...options } = {}) {
+  const started = Date.now();
+  let reported = null;
+  let output = '';
+  let error = null;
+  try {
+    for await (const text of provider.stream(prompt, { ...options, onUsage: (u) => { reported = u; } })) {
+      output += text;
+      yield text;
+    }
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    recordUsage({
+      context: usage, operation, provider: provider.name, model: provider.chatModel,
+      input: prompt, output, reported, durationMs: Date.now() - started, error
+    });
+  }
+}
+
+async function embed(provider, text, { usage } = {}) {
+  const started = Date.now();
+  let reported = null;
+  const record = (error) => recordUsage({
+    context: usage, operation: 'embed', provider: provider.name, model: provider.embeddingModel,
+    input: text, output: '', reported, durationMs: Date.now() - started, error
+  });
+  try {
+    const vector = await provider.embed(text, { onUsage: (u) => { reported = u; } });
+    record();
+    return vector;
+  } catch (err) {
+    record(err);
+    throw err;
+  }
+}
+
+// Pass { fallback: false } to get provider errors instead of the local fallback
+async function summarizeText(text, { fallback = true, usage } = {}) {
+  const provider = chatProvider();
+  if (!provider) {
+    return text.length > 220 ? text.slice(0, 200) + '…' : text;
+  }
+  try {
+    const prompt = `Summarize the following document in 3-5 bullet points:\n\n${text}`;
+    return await aiCache.cached('summarize', cacheSpec('summarize', provider, text),
+      () => generate(provider, 'summarize', prompt, { usage }));
+  } catch (err) {
+    if (!fallback) throw err;
+    // Fallback on any API error
+    return text.length > 220 ? text.slice(0, 200) + '…' : text;
+  }
+}
+
+async function generateTags(text, count = 5, { fallback = true, usage } = {}) {
+  const naive = () => {
+    const words = (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+    const freq = {};
+    for (const w of words) freq[w] = (freq[w] || 0) + 1;
+    return Object.entries(freq)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, count)
+      .map(([w]) => w);
+  };
+  const provider = chatProvider();
+  if (!provider) return naive();
+  try {
+    const prompt = `Read the content and return ${count} concise single-word or short-phrase tags as a JSON array of strings only. Content:\n\n${text}`;
+    const txt = (await aiCache.cached('tags', cacheSpec('tags', provider, { text, count }),
+      () => generate(provider, 'tags', prompt, { usage }))).trim();
+    try {
+      const parsed = JSON.parse(txt);
+      if (Array.isArray(parsed)) return parsed.map(String).slice(0, count);
+    } catch (_) {}
+    // fallback: split by commas/newlines if LLM responded with plain text
+    return txt
+      .replace(/^[\[\]]/g, '')
+      .split(/[",\n]/)
+      .map((s) => s.trim())
+      .filter(Boolean)
+      .slice(0, count);
+  } catch (err) {
+    if (!fallback) throw err;
+    return naive();
+  }
+}
+
+async function embedText(text, { usage } = {}) {
+  const provider = getProvider('embedding');
+  if (!provider) {
+    // simple deterministic fallback embedding (hash -> vector)
+    const vec = new Array(64).fill(0);
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      vec[i % 64] = (vec[i % 64] + code) % 1000;
+    }
+    return vec.map((v) => v / 1000);
+  }
+  return aiCache.cached('embed', cacheSpec('embed', provider, text), () => embed(provider, text, { usage }));
+}
+
+// Where embeddings currently come from; "local"/"hash" is the fallback above
+function embeddingModel() {
+  const provider = getProvider('embedding');
+  return provider
+    ? { provider: provider.name, model: provider.embeddingModel }
+    : { provider: 'local', model: 'hash' };
+}
+
+// Vectors can only be compared within one embedding space, named
+// "provider:model:dimensions" (e.g. "gemini:text-embedding-004:768").
+// Defaults to the space the current configuration embeds into.
+function embeddingSpace(vector, { provider, model } = embeddingModel()) {
+  return `${provider}:${model}:${vector.length}`;
+}
+
+// Vectors from different spaces are not comparable and score 0
+function cosineSim(a = [], b = []) {
+  const n = a.length;
+  if (!n || n !== b.length) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  if (!na || !nb) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+// Accept retrieved sources ({ id, title, summary, passages }) or plain documents
+function toSources(docs) {
+  return docs.map((d, i) => (d.passages
+    ? d
+    : { id: i + 1, documentId: d._id, title: d.title, summary: d.summary, passages: [{ text: documentText(d).slice(0, 1500) }] }));
+}
+
+function formatHistory(history = []) {
+  return history
+    .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
+    .join('\n');
+}
+
+function buildQAPrompt(question, sources, history = []) {
+  const context = sources
+    .map(src => `[${src.id}] Title: ${src.title}\nSummary: ${src.summary || ''}\nPassages:\n${src.passages.map(p => `"${p.text}"`).join('\n')}`)
+    .join('\n\n');
+  const conversation = history.length ? `Conversation so far:\n${formatHistory(history)}\n\n` : '';
+  return `You are an AI assistant answering questions using ONLY the provided team documents.\n\nSources:\n${context}\n\n${conversation}Question: ${question}\n\nGive a concise, accurate answer. After each claim, cite the sources that support it by number in square brackets, e.g. [1] or [2][3]. If insufficient context, say so and suggest next steps.`;
+}
+
+function fallbackAnswer(sources) {
+  return `Based on available docs, likely relevant: ${sources[0].title} [${sources[0].id}]`;
+}
+
+// Pass the earlier turns of a conversation as `history` ({ role, content } messages)
+async function answerQuestion(question, docs = [], { history = [], usage } = {}) {
+  if (!docs.length) return 'No relevant documents found.';
+  const sources = toSources(docs);
+  const provider = chatProvider();
+  if (!provider) {
+    // naive fallback: return the title of the most similar document
+    return fallbackAnswer(sources);
+  }
+  // The prompt holds everything the answer depends on: question, history and sources
+  const prompt = buildQAPrompt(question, sources, history);
+  try {
+    return await aiCache.cached('qa', cacheSpec('qa', provider, prompt), () => generate(provider, 'qa', prompt, { usage }));
+  } catch (_) {
+    return fallbackAnswer(sources);
+  }
+}
+
+// Stream an answer as text chunks while the model generates it.
+// Pass an AbortSignal to stop generation when the client goes away.
+async function* streamAnswer(question, docs = [], { signal, history = [], usage } = {}) {
+  if (!docs.length) {
+    yield 'No relevant documents found.';
+    return;
+  }
+  const sources = toSources(docs);
+  const provider = chatProvider();
+  if (!provider) {
+    yield fallbackAnswer(sources);
+    return;
+  }
+  const prompt = buildQAPrompt(question, sources, history);
+  const spec = cacheSpec('qa', provider, prompt);
+  const hit = await aiCache.peek('qa', spec);
+  if (hit !== undefined) {
+    yield hit;
+    return;
+  }
+  let answer = '';
+  for await (const text of generateStream(provider, 'qa_stream', prompt, { signal, usage })) {
+    if (signal && signal.aborted) return;
+    answer += text;
+    yield text;
+  }
+  // Only complete answers are cached
+  if (answer) await aiCache.put('qa', spec, answer);
+}
+
+// Rewrite a follow-up question ("and what about staging?") into a standalone
+// question using the earlier turns, so it can be used for retrieval on its own
+async function rewriteQuestion(question, history = [], { usage } = {}) {
+  const lastQuestion = [...history].reverse().find(m => m.role === 'user');
+  if (!lastQuestion) return question;
+  // naive fallback: carry over the previous question's wording
+  const fallback = `${lastQuestion.rewrittenQuestion || lastQuestion.content} ${question}`;
+  const provider = chatProvider();
+  if (!provider) return fallback;
+  try {
+    const prompt = `Rewrite the follow-up question so it can be understood without the conversation. Keep names, systems and terms from earlier turns that the question refers to. Return only the rewritten question.\n\nConversation:\n${formatHistory(history)}\n\nFollow-up question: ${question}`;
+    return (await generate(provider, 'rewrite', prompt, { temperature: 0, usage })).trim() || fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+// Map the [n] markers in an answer to the sources they cite
+function extractCitations(answer, sources) {
+  const byId = new Map(sources.map(src => [String(src.id), src]));
+  const cited = new Set();
+  for (const match of (answer || '').matchAll(/\[(\d+)\]/g)) {
+    if (byId.has(match[1])) cited.add(match[1]);
+  }
+  return Array.from(cited).map(id => {
+    const src = byId.get(id);
+    return {
+      id: src.id,
+      documentId: src.documentId,
+      title: src.title,
+      passages: src.passages
+    };
+  });
+}
+
+module.exports = {
+  summarizeText,
+  generateTags,
+  embedText,
+  embeddingModel,
+  embeddingSpace,
+  cosineSim,
+  answerQuestion,
+  streamAnswer,
+  rewriteQuestion,
+  extractCitations
+};
@@ -0,0 +1,230 @@
+// Cache of AI results
+// Results are keyed by a hash of the operation, model, prompt version and
+// normalized input, so unchanged content never costs a second provider call.
+// Two tiers: an in-process LRU bounded by entries and bytes, and the
+// AiCacheEntry collection shared by all processes. Entries expire after a
+// per-operation TTL. Only provider results are cached, never local fallbacks.
+
+const crypto = require('crypto');
+const AiCacheEntry = require('../models/AiCacheEntry');
+
+const ENABLED = process.env.AI_CACHE !== 'off';
+const MEMORY_ENTRIES = Number(process.env.AI_CACHE_MEMORY_ENTRIES || 500);
+const MEMORY_BYTES = Number(process.env.AI_CACHE_MEMORY_MB || 32) * 1024 * 1024;
+const PERSISTENT_ENTRIES = Number(process.env.AI_CACHE_PERSISTENT_ENTRIES || 50000);
+// Larger values are kept in memory only
+const MAX_VALUE_BYTES = 256 * 1024;
+const PRUNE_EVERY = 100;
+
+const DAY = 24 * 60 * 60;
+const TTL_SECONDS = {
+  summarize: Number(process.env.AI_CACHE_TTL_SECONDS || 30 * DAY),
+  tags: Number(process.env.AI_CACHE_TTL_SECONDS || 30 * DAY),
+  embed: Number(process.env.AI_CACHE_TTL_SECONDS || 30 * DAY),
+  qa: Number(process.env.AI_CACHE_QA_TTL_SECONDS || 60 * 60)
+};
+
+// key -> { operation, value, size, expiresAt }, least recently used first
+const memory = new Map();
+let memoryBytes = 0;
+// key -> promise of a result being computed, so concurrent misses share one call
+const inflight = new Map();
+let writesSincePrune = 0;
+
+const stats = { since: new Date(), operations: {} };
+
+function count(operation, outcome) {
+  if (!stats.operations[operation]) stats.operations[operation] = { memoryHits: 0, persistentHits: 0, misses: 0 };
+  stats.operations[operation][outcome] += 1;
+}
+
+// Line endings and trailing whitespace do not change the result
+function normalize(input) {
+  if (typeof input === 'string') {
+    return input.replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').trim();
+  }
+  if (Array.isArray(input)) return input.map(normalize);
+  if (input && typeof input === 'object') {
+    return Object.fromEntries(Object.keys(input).sort().map(k => [k, normalize(input[k])]));
+  }
+  return input;
+}
+
+function cacheKey(operation, { model, version, input }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([operation, model, version, normalize(input)]))
+    .digest('hex');
+}
+
+function sizeOf(value) {
+  return Buffer.byteLength(JSON.stringify(value));
+}
+
+function forget(key) {
+  const entry = memory.get(key);
+  if (!entry) return;
+  memory.delete(key);
+  memoryBytes -= entry.size;
+}
+
+function remember(key, operation, value, size, expiresAt) {
+  if (size > MEMORY_BYTES) return;
+  forget(key);
+  memory.set(key, { operation, value, size, expiresAt });
+  memoryBytes += size;
+  for (const oldest of memory.keys()) {
+    if (memory.size <= MEMORY_ENTRIES && memoryBytes <= MEMORY_BYTES) break;
+    forget(oldest);
+  }
+}
+
+function fromMemory(key) {
+  const entry = memory.get(key);
+  if (!entry) return undefined;
+  forget(key);
+  if (entry.expiresAt <= Date.now()) return undefined;
+  // Re-insert to mark it most recently used
+  memory.set(key, entry);
+  memoryBytes += entry.size;
+  return entry.value;
+}
+
+// Drop the least recently used persistent entries beyond the limit
+async function prune() {
+  const excess = await AiCacheEntry.estimatedDocumentCount() - PERSISTENT_ENTRIES;
+  if (excess <= 0) return;
+  const oldest = await AiCacheEntry.find().sort({ lastHitAt: 1 }).limit(excess).select('_id').lean();
+  await AiCacheEntry.deleteMany({ _id: { $in: oldest.map(e => e._id) } });
+}
+
+async function fromStore(key) {
+  try {
+    const entry = await AiCacheEntry.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+      { new: true }
+    ).lean();
+    return entry || null;
+  } catch (err) {
+    console.error('Error reading AI cache:', err.message);
+    return null;
+  }
+}
+
+async function store(key, operation, model, value, size, expiresAt) {
+  if (size > MAX_VALUE_BYTES) return;
+  try {
+    await AiCacheEntry.updateOne(
+      { key },
+      { $set: { operation, model, value, size, expiresAt, lastHitAt: new Date() }, $setOnInsert: { hits: 0 } },
+      { upsert: true }
+    );
+    writesSincePrune += 1;
+    if (writesSincePrune >= PRUNE_EVERY) {
+      writesSincePrune = 0;
+      await prune();
+    }
+  } catch (err) {
+    console.error('Error writing AI cache:', err.message);
+  }
+}
+
+// Look a key up in memory, then in the store (undefined on a miss)
+async function lookup(operation, key) {
+  const hit = fromMemory(key);
+  if (hit !== undefined) {
+    count(operation, 'memoryHits');
+    return hit;
+  }
+  const entry = await fromStore(key);
+  if (entry) {
+    count(operation, 'persistentHits');
+    remember(key, operation, entry.value, entry.size, entry.expiresAt.getTime());
+    return entry.value;
+  }
+  count(operation, 'misses');
+  return undefined;
+}
+
+// Return the cached result for this operation and input, or run `compute`
+// and cache what it returns. `model` names the provider and model, and
+// `version` the prompt version, so changing either starts afresh.
+async function cached(operation, { model, version = 1, input }, compute) {
+  if (!ENABLED) return compute();
+  const key = cacheKey(operation, { model, version, input });
+  if (inflight.has(key)) return inflight.get(key);
+
+  const pending = (async () => {
+    const hit = await lookup(operation, key);
+    if (hit !== undefined) return hit;
+    const value = await compute();
+    await put(operation, { model, version, input }, value);
+    return value;
+  })();
+  inflight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+// Cache a result computed elsewhere (e.g. a streamed answer)
+async function put(operation, { model, version = 1, input }, value) {
+  if (!ENABLED || value === undefined || value === null) return;
+  const key = cacheKey(operation, { model, version, input });
+  const size = sizeOf(value);
+  const expiresAt = Date.now() + (TTL_SECONDS[operation] || TTL_SECONDS.summarize) * 1000;
+  remember(key, operation, value, size, expiresAt);
+  await store(key, operation, model, value, size, new Date(expiresAt));
+}
+
+// A cached result without computing anything on a miss (undefined if absent)
+async function peek(operation, { model, version = 1, input }) {
+  if (!ENABLED) return undefined;
+  return lookup(operation, cacheKey(operation, { model, version, input }));
+}
+
+// Hit and miss counts of this process, and what the tiers hold
+async function cacheStats() {
+  const operations = {};
+  let hits = 0;
+  let lookups = 0;
+  for (const [operation, counts] of Object.entries(stats.operations)) {
+    const opHits = counts.memoryHits + counts.persistentHits;
+    operations[operation] = { ...counts, hitRate: opHits / (opHits + counts.misses) };
+    hits += opHits;
+    lookups += opHits + counts.misses;
+  }
+  const stored = await AiCacheEntry.aggregate([
+    { $group: { _id: '$operation', entries: { $sum: 1 }, bytes: { $sum: '$size' }, hits: { $sum: '$hits' } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return {
+    enabled: ENABLED,
+    since: stats.since,
+    hitRate: lookups ? hits / lookups : null,
+    operations,
+    memory: { entries: memory.size, bytes: memoryBytes, maxEntries: MEMORY_ENTRIES, maxBytes: MEMORY_BYTES },
+    persistent: {
+      maxEntries: PERSISTENT_ENTRIES,
+      operations: stored.map(({ _id, ...totals }) => ({ operation: _id, ...totals }))
+    }
+  };
+}
+
+// Empty both tiers (of one operation, or all) and reset the counters
+async function clearCache(operation = null) {
+  await AiCacheEntry.deleteMany(operation ? { operation } : {});
+  for (const [key, entry] of memory) {
+    if (!operation || entry.operation === operation) forget(key);
+  }
+  if (operation) {
+    delete stats.operations[operation];
+  } else {
+    stats.since = new Date();
+    stats.operations = {};
+  }
+}
+
+module.exports = { TTL_SECONDS, normalize, cacheKey, cached, put, peek, cacheStats, clearCache };
@@ -0,0 +1,370 @@
+// Export and backup/restore of the knowledge base
+// A backup is a ZIP archive with a manifest.json and one JSON Lines file per
+// collection (users, workspaces, documents, versions, activity), plus a
+// readable Markdown copy of every document under documents/. Users are only
+// referenced (name, email, role), never their passwords or sessions, and
+// embeddings are left out: they are rebuilt by enrichment jobs after a restore.
+// Restoring gives every record a new id, so an archive can be restored next to
+// existing data or more than once.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AdmZip = require('adm-zip');
+const yaml = require('js-yaml');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const Activity = require('../models/Activity');
+const { enqueueEnrichment } = require('../jobs/enrichDocument');
+const { readEntry } = require('./zip');
+
+const BACKUP_FORMAT = 'knowledge-hub-backup';
+const BACKUP_VERSION = 1;
+// Restoring holds the unpacked archive in memory, so keep this modest
+const RESTORE_MAX_BYTES = Number(process.env.RESTORE_MAX_MB || 50) * 1024 * 1024;
+
+const EXTENSIONS = { markdown: 'md', html: 'html', plain: 'txt' };
+const COLLECTIONS = ['users', 'workspaces', 'documents', 'versions', 'activity'];
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// A name usable as a file or directory name
+function fileSafe(name) {
+  return String(name || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100) || 'untitled';
+}
+
+// File name of a document exported on its own
+function exportFileName(doc, type = 'markdown') {
+  return `${fileSafe(doc.title)}.${type === 'json' ? 'json' : EXTENSIONS[doc.format] || 'txt'}`;
+}
+
+// A document as a file with YAML front-matter (the content stays in its own format)
+function documentMarkdown(doc) {
+  const data = {
+    title: doc.title,
+    tags: doc.tags || [],
+    folder: doc.folder || undefined,
+    format: doc.format || 'plain',
+    visibility: doc.visibility,
+    summary: doc.summary || undefined,
+    id: String(doc._id),
+    version: doc.currentVersion,
+    createdAt: doc.createdAt && new Date(doc.createdAt).toISOString(),
+    updatedAt: doc.updatedAt && new Date(doc.updatedAt).toISOString()
+  };
+  Object.keys(data).forEach(key => data[key] === undefined && delete data[key]);
+  return `---\n${yaml.dump(data, { lineWidth: -1 })}---\n\n${doc.content}\n`;
+}
+
+// A document and its version history as plain JSON
+function documentJson(doc, versions = []) {
+  const { embedding, embeddingSpace, enrichment, plainText, __v, ...fields } = doc.toObject
+    ? doc.toObject({ virtuals: false })
+    : doc;
+  return {
+    document: fields,
+    versions: versions.map(v => {
+      const { __v: version, ...rest } = v.toObject ? v.toObject({ virtuals: false }) : v;
+      return rest;
+    })
+  };
+}
+
+// Ids of users referenced by the exported records
+function referencedUsers({ workspaces, documents, versions, activity }) {
+  const ids = new Set();
+  const add = id => id && ids.add(String(id));
+  for (const w of workspaces) {
+    add(w.createdBy);
+    w.members.forEach(m => add(m.user));
+    w.groups.forEach(g => g.members.forEach(add));
+  }
+  for (const d of documents) {
+    [d.createdBy, d.lastUpdatedBy, d.deletedBy].forEach(add);
+    d.shares.filter(s => s.principalType === 'user').forEach(s => add(s.principal));
+  }
+  versions.forEach(v => add(v.editedBy));
+  activity.forEach(a => add(a.user));
+  return Array.from(ids);
+}
+
+function jsonLines(records) {
+  return Buffer.from(records.map(record => JSON.stringify(record)).join('\n'));
+}
+
+// Back up some workspaces (all of them with `workspaces` null) as a ZIP archive.
+// Returns { buffer, manifest }.
+async function createBackup({ workspaces: workspaceIds = null } = {}) {
+  const workspaces = await Workspace.find(workspaceIds ? { _id: { $in: workspaceIds } } : {}).sort({ createdAt: 1 }).lean();
+  const ids = workspaces.map(w => w._id);
+  const documents = await Document.find({ workspace: { $in: ids } })
+    .select('-embedding -embeddingSpace -enrichment -__v')
+    .sort({ createdAt: 1 })
+    .lean();
+  const [versions, activity] = await Promise.all([
+    DocumentVersion.find({ document: { $in: documents.map(d => d._id) } }).select('-__v').sort({ document: 1, versionNumber: 1 }).lean(),
+    Activity.find({ workspace: { $in: ids } }).select('-__v').sort({ createdAt: 1 }).lean()
+  ]);
+  const users = await User.find(workspaceIds ? { _id: { $in: referencedUsers({ workspaces, documents, versions, activity }) } } : {})
+    .select('name email role createdAt')
+    .lean();
+
+  const records = { users, workspaces, documents, versions, activity };
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    scope: workspaceIds ? 'workspaces' : 'hub',
+    workspaces: workspaces.map(w => ({ id: w._id, name: w.name })),
+    counts: Object.fromEntries(COLLECTIONS.map(name => [name, records[name].length]))
+  };
+
+  const zip = new AdmZip();
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  for (const name of COLLECTIONS) zip.addFile(`${name}.jsonl`, jsonLines(records[name]));
+
+  // Readable copies of the documents that are not in the trash, by workspace and folder
+  const directories = new Map(workspaces.map(w => [String(w._id), `documents/${fileSafe(w.name)}-${String(w._id).slice(-6)}`]));
+  const used = new Set();
+  for (const doc of documents.filter(d => !d.isDeleted)) {
+    const base = [directories.get(String(doc.workspace)), doc.folder].filter(Boolean).join('/');
+    const extension = EXTENSIONS[doc.format] || 'txt';
+    let name = `${base}/${fileSafe(doc.title)}.${extension}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}/${fileSafe(doc.title)}-${n}.${extension}`;
+    used.add(name.toLowerCase());
+    zip.addFile(name, Buffer.from(documentMarkdown(doc)));
+  }
+
+  return { buffer: zip.toBuffer(), manifest };
+}
+
+// Read and check a backup archive (a buffer or a file path): { manifest, records }
+function readBackup(archive) {
+  let zip;
+  try {
+    zip = new AdmZip(archive);
+  } catch (err) {
+    throw badRequest('Not a valid ZIP archive');
+  }
+  const entries = new Map(zip.getEntries().map(entry => [entry.entryName, entry]));
+  const tooLarge = `Backups can hold at most ${RESTORE_MAX_BYTES / 1024 / 1024} MB`;
+  const total = Array.from(entries.values()).reduce((sum, entry) => sum + entry.header.size, 0);
+  if (total > RESTORE_MAX_BYTES) throw badRequest(tooLarge);
+
+  // Declared sizes can lie, so what is inflated is counted as well
+  let bytes = 0;
+  const read = name => {
+    const entry = entries.get(name);
+    if (!entry) throw badRequest(`Not a backup: ${name} is missing`);
+    const data = readEntry(entry, { maxBytes: RESTORE_MAX_BYTES - bytes, tooLarge });
+    bytes += data.length;
+    return data.toString('utf8');
+  };
+  let manifest;
+  try {
+    manifest = JSON.parse(read('manifest.json'));
+  } catch (err) {
+    throw err.status ? err : badRequest('Not a backup: invalid manifest.json');
+  }
+  if (manifest.format !== BACKUP_FORMAT) throw badRequest('Not a backup of this application');
+  if (manifest.version > BACKUP_VERSION) throw badRequest(`Unsupported backup version ${manifest.version}`);
+
+  const records = {};
+  for (const name of COLLECTIONS) {
+    try {
+      records[name] = read(`${name}.jsonl`).split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch (err) {
+      throw err.status ? err : badRequest(`Not a backup: invalid ${name}.jsonl`);
+    }
+  }
+  return { manifest, records };
+}
+
+// Old id -> new id, allocating new ids on first use
+function idMap() {
+  const ids = new Map();
+  return {
+    get: id => (id ? ids.get(String(id)) || null : null),
+    set: (id, value) => ids.set(String(id), value),
+    remap(id) {
+      if (!id) return null;
+      if (!ids.has(String(id))) ids.set(String(id), new mongoose.Types.ObjectId());
+      return ids.get(String(id));
+    }
+  };
+}
+
+// A record cast by its model and ready for a raw insert (no hooks run)
+function toRecord(doc) {
+  return doc.toObject({ virtuals: false, depopulate: true });
+}
+
+// Restore a backup archive, with new ids for every record. With `matchUsers`
+// users are matched to existing accounts by email; the others are created as
+// plain users (without a usable password, so they sign in through a password
+// reset) when `createUsers` is set. Every user that is not matched or created
+// is replaced by `user`, who then also owns every restored workspace. Only
+// trusted callers may match users: an archive can name any email address.
+// Returns { workspaces, users: { matched, created, replaced }, documents, versions, activity }.
+async function restoreBackup(archive, { user, matchUsers = false, createUsers = false } = {}) {
+  const { records } = readBackup(archive);
+  const inserted = { User: [], Workspace: [], Document: [], DocumentVersion: [], Activity: [] };
+  const report = { workspaces: [], users: { matched: 0, created: 0, replaced: 0 }, documents: 0, versions: 0, activity: 0 };
+  const restoredDocuments = [];
+
+  try {
+    // Users
+    const users = idMap();
+    const newUsers = [];
+    for (const exported of records.users) {
+      const existing = matchUsers && await User.findOne({ email: String(exported.email).toLowerCase() }).select('_id');
+      if (existing) {
+        users.set(exported._id, existing._id);
+        report.users.matched += 1;
+      } else if (matchUsers && createUsers) {
+        // Roles are never restored: the archive decides nobody's privileges
+        const created = await User.create({
+          name: exported.name,
+          email: exported.email,
+          password: crypto.randomBytes(32).toString('hex')
+        });
+        inserted.User.push(created._id);
+        newUsers.push(created);
+        users.set(exported._id, created._id);
+        report.users.created += 1;
+      } else {
+        report.users.replaced += 1;
+      }
+    }
+    // Users missing from the archive, or not restored, become the restoring user
+    const userId = id => users.get(id) || (user && user._id) || null;
+
+    // Workspaces, with new ids for their groups
+    const workspaces = idMap();
+    const groups = idMap();
+    const restoredWorkspaces = [];
+    for (const exported of records.workspaces) {
+      const members = new Map();
+      for (const member of exported.members || []) {
+        const id = String(userId(member.user));
+        if (!members.has(id)) members.set(id, { ...member, user: userId(member.user) });
+      }
+      if (!(matchUsers && createUsers) && user && (members.get(String(user._id)) || {}).role !== 'owner') {
+        members.set(String(user._id), { user: user._id, role: 'owner', addedAt: new Date() });
+      }
+      const record = toRecord(new Workspace({
+        ...exported,
+        _id: workspaces.remap(exported._id),
+        // Only a workspace restored for a newly created user stays its personal one
+        personal: Boolean(exported.personal) && newUsers.some(u => String(u._id) === String(userId(exported.createdBy))),
+        createdBy: userId(exported.createdBy),
+        members: Array.from(members.values()),
+        groups: (exported.groups || []).map(g => ({
+          ...g,
+          _id: groups.remap(g._id),
+          members: Array.from(new Set((g.members || []).map(userId).filter(Boolean).map(String)))
+        }))
+      }));
+      await Workspace.collection.insertOne(record);
+      inserted.Workspace.push(record._id);
+      restoredWorkspaces.push(record);
+      report.workspaces.push({ id: record._id, name: record.name, previousId: exported._id });
+    }
+
+    // Documents; their summaries and tags are kept, embeddings are rebuilt below
+    const documents = idMap();
+    for (const exported of records.documents) {
+      const workspace = workspaces.get(exported.workspace);
+      if (!workspace) continue;
+      const doc = new Document({
+        ...exported,
+        _id: documents.remap(exported._id),
+        workspace,
+        createdBy: userId(exported.createdBy),
+        lastUpdatedBy: userId(exported.lastUpdatedBy),
+        deletedBy: exported.deletedBy ? userId(exported.deletedBy) : null,
+        shares: (exported.shares || [])
+          .map(s => ({
+            ...s,
+            principal: s.principalType === 'group' ? groups.get(s.principal) : users.get(s.principal),
+            grantedBy: userId(s.grantedBy)
+          }))
+          .filter(s => s.principal)
+      });
+      doc.prepareContent();
+      await doc.validate();
+      const record = toRecord(doc);
+      await Document.collection.insertOne(record);
+      inserted.Document.push(record._id);
+      restoredDocuments.push(doc);
+    }
+    report.documents = restoredDocuments.length;
+
+    // Version history and activity
+    const versions = records.versions
+      .filter(v => documents.get(v.document))
+      .map(({ _id, ...v }) => toRecord(new DocumentVersion({
+        ...v,
+        document: documents.get(v.document),
+        workspace: workspaces.get(v.workspace),
+        editedBy: userId(v.editedBy)
+      })));
+    if (versions.length) await DocumentVersion.collection.insertMany(versions);
+    inserted.DocumentVersion.push(...versions.map(v => v._id));
+    report.versions = versions.length;
+
+    // Activity of documents that were purged before the backup keeps pointing at a fresh id
+    const activity = records.activity
+      .filter(a => workspaces.get(a.workspace))
+      .map(({ _id, ...a }) => toRecord(new Activity({
+        ...a,
+        document: documents.remap(a.document),
+        workspace: workspaces.get(a.workspace),
+        user: userId(a.user)
+      })));
+    if (activity.length) await Activity.collection.insertMany(activity);
+    inserted.Activity.push(...activity.map(a => a._id));
+    report.activity = activity.length;
+
+    // Created users start in their first restored workspace
+    for (const created of newUsers) {
+      const first = restoredWorkspaces.find(w => w.members.some(m => String(m.user) === String(created._id)));
+      if (first) await User.updateOne({ _id: created._id }, { $set: { defaultWorkspace: first._id } });
+    }
+  } catch (err) {
+    // Leave nothing half restored behind
+    await Promise.all([
+      User.deleteMany({ _id: { $in: inserted.User } }),
+      Workspace.deleteMany({ _id: { $in: inserted.Workspace } }),
+      Document.deleteMany({ _id: { $in: inserted.Document } }),
+      DocumentVersion.deleteMany({ _id: { $in: inserted.DocumentVersion } }),
+      Activity.deleteMany({ _id: { $in: inserted.Activity } })
+    ]);
+    throw err;
+  }
+
+  // Chunks and embeddings are rebuilt in the background
+  for (const doc of restoredDocuments) {
+    if (!doc.isDeleted) await enqueueEnrichment(doc, user, { summarize: !doc.summary, tags: 'keep' });
+  }
+
+  return report;
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  RESTORE_MAX_BYTES,
+  exportFileName,
+  documentMarkdown,
+  documentJson,
+  createBackup,
+  readBackup,
+  restoreBackup
+};
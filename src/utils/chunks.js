@@ -0,0 +1,203 @@
+// Chunk-level embeddings
+// The plain text of documents (see utils/content) is split into overlapping
+// chunks along its heading sections, each chunk is embedded on its own and kept
+// in the vector index, and semantic search ranks documents by their best
+// matching chunks.
+
+const crypto = require('crypto');
+const DocumentChunk = require('../models/DocumentChunk');
+const { embedText, embeddingSpace } = require('./ai');
+const { getVectorIndex } = require('../vector');
+const { documentText } = require('./content');
+
+const CHUNK_CHARS = Number(process.env.CHUNK_CHARS || 1200);
+const CHUNK_OVERLAP = Number(process.env.CHUNK_OVERLAP || 200);
+const VECTOR_MIN_SCORE = Number(process.env.VECTOR_MIN_SCORE || 0);
+
+const HEADING = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/;
+const FENCE = /^[ \t]*(```|~~~)/;
+
+// Split content into sections at Markdown headings (ignoring fenced code),
+// each with the path of headings above it
+function splitSections(content) {
+  const sections = [];
+  const stack = [];
+  let current = { start: 0, heading: '' };
+  let inFence = false;
+  let offset = 0;
+
+  for (const line of content.split('\n')) {
+    if (FENCE.test(line)) inFence = !inFence;
+    const match = !inFence && line.match(HEADING);
+    if (match) {
+      if (offset > current.start) sections.push({ ...current, end: offset });
+      const level = match[1].length;
+      while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, title: match[2] });
+      current = { start: offset, heading: stack.map(h => h.title).join(' > ') };
+    }
+    offset += line.length + 1;
+  }
+  if (content.length > current.start) sections.push({ ...current, end: content.length });
+  return sections;
+}
+
+// Where to end a window: the last paragraph, line or sentence break in its second half
+function breakPoint(content, start, end) {
+  const min = start + Math.floor((end - start) / 2);
+  const window = content.slice(min, end);
+  for (const separator of ['\n\n', '\n', '. ']) {
+    const at = window.lastIndexOf(separator);
+    if (at !== -1) return min + at + separator.length;
+  }
+  return end;
+}
+
+// Split content into overlapping chunks: { index, heading, start, end, text }
+function chunkContent(content, { size = CHUNK_CHARS, overlap = CHUNK_OVERLAP } = {}) {
+  const text = content || '';
+  const chunks = [];
+  const push = (heading, start, end) => {
+    const piece = text.slice(start, end);
+    const trimmed = piece.trim();
+    if (!trimmed) return;
+    const from = start + (piece.length - piece.trimStart().length);
+    chunks.push({ index: chunks.length, heading, start: from, end: from + trimmed.length, text: trimmed });
+  };
+
+  for (const section of splitSections(text)) {
+    let start = section.start;
+    while (start < section.end) {
+      if (section.end - start <= size) {
+        push(section.heading, start, section.end);
+        break;
+      }
+      const end = breakPoint(text, start, start + size);
+      push(section.heading, start, end);
+      // Step back for the overlap, then forward to the next word
+      let next = Math.max(end - overlap, start + 1);
+      while (next < end && !/\s/.test(text[next - 1])) next += 1;
+      start = next;
+    }
+  }
+  return chunks;
+}
+
+function embeddingInput(chunk) {
+  return chunk.heading ? `${chunk.heading}\n${chunk.text}` : chunk.text;
+}
+
+function hashChunk(chunk) {
+  return crypto.createHash('sha256').update(embeddingInput(chunk)).digest('hex');
+}
+
+// Re-chunk a document and store its chunks. Embeddings of chunks whose text
+// (and heading) did not change are reused, so only edited sections are embedded,
+// as long as they are in the current embedding space; `reembed` embeds every chunk anew.
+// `usage` ({ user, workspace }) is who the embedding calls are accounted to.
+// Chunks are written outside any transaction because the vector index, updated
+// alongside them, cannot be rolled back.
+async function syncChunks(doc, { reembed = false, usage = { workspace: doc.workspace } } = {}) {
+  const pieces = chunkContent(documentText(doc));
+  const existing = await DocumentChunk.find({ document: doc._id })
+    .select('+embedding')
+    .sort({ index: 1 })
+    .lean();
+  const byHash = new Map(existing.map(c => [c.hash, c]));
+
+  let embedded = 0;
+  const chunks = [];
+  for (const piece of pieces) {
+    const hash = hashChunk(piece);
+    const previous = byHash.get(hash);
+    const reusable = !reembed && previous && previous.embedding && previous.embedding.length &&
+      previous.embeddingSpace === embeddingSpace(previous.embedding);
+    let embedding = reusable ? previous.embedding : null;
+    const fresh = !embedding;
+    if (fresh) {
+      embedding = await embedText(embeddingInput(piece), { usage });
+      embedded += 1;
+    }
+    chunks.push({ ...piece, document: doc._id, workspace: doc.workspace, hash, embedding, embeddingSpace: embeddingSpace(embedding), fresh });
+  }
+
+  const unchanged = !embedded && existing.length === chunks.length && existing.every((c, i) =>
+    c.hash === chunks[i].hash && c.start === chunks[i].start && c.end === chunks[i].end
+  );
+  if (!unchanged) {
+    await DocumentChunk.deleteMany({ document: doc._id });
+    if (chunks.length) await DocumentChunk.insertMany(chunks.map(({ fresh, ...chunk }) => chunk));
+  }
+
+  // Keep the vector index in step: add new or re-embedded chunks, drop vanished ones
+  const oldKeys = new Set(existing.map(c => DocumentChunk.key(doc._id, c.hash)));
+  const newKeys = new Set(chunks.map(c => DocumentChunk.key(doc._id, c.hash)));
+  const index = getVectorIndex();
+  await index.upsert(chunks
+    .filter(c => c.fresh || !oldKeys.has(DocumentChunk.key(doc._id, c.hash)))
+    .map(c => ({
+      id: DocumentChunk.key(doc._id, c.hash),
+      vector: c.embedding,
+      document: doc._id,
+      workspace: doc.workspace,
+      space: c.embeddingSpace
+    })));
+  await index.remove(Array.from(oldKeys).filter(key => !newKeys.has(key)));
+
+  return { chunks: chunks.length, embedded, reused: chunks.length - embedded };
+}
+
+// Delete a document's chunks and their vector index entries
+async function removeChunks(documentId) {
+  const chunks = await DocumentChunk.find({ document: documentId }).select('hash').lean();
+  await DocumentChunk.deleteMany({ document: documentId });
+  await getVectorIndex().remove(chunks.map(c => DocumentChunk.key(documentId, c.hash)));
+}
+
+// Rank documents by their best matching chunks, searching the vector index
+// for the nearest chunks among the given documents. Only chunks embedded in
+// the query embedding's space are considered.
+// Returns [{ documentId, score, passages: [{ text, heading, start, end, score }] }]
+async function rankByChunks(queryEmbedding, { workspace = null, documents = null, limit = 20, minScore = VECTOR_MIN_SCORE, passages = 3 } = {}) {
+  const hits = await getVectorIndex().query(queryEmbedding, {
+    k: Math.min(limit * passages, 500),
+    minScore,
+    workspace,
+    documents,
+    space: embeddingSpace(queryEmbedding)
+  });
+  if (!hits.length) return [];
+
+  // Load the chunk texts behind the hits
+  const chunks = await DocumentChunk.find({
+    document: { $in: Array.from(new Set(hits.map(h => h.document))) },
+    hash: { $in: hits.map(h => h.id.slice(h.id.indexOf(':') + 1)) }
+  }).lean();
+  const byKey = new Map(chunks.map(c => [DocumentChunk.key(c.document, c.hash), c]));
+
+  const byDocument = new Map();
+  for (const { id, score } of hits) {
+    const chunk = byKey.get(id);
+    if (!chunk) continue;
+    const documentId = String(chunk.document);
+    if (!byDocument.has(documentId)) byDocument.set(documentId, { documentId: chunk.document, score, passages: [] });
+    const entry = byDocument.get(documentId);
+    if (entry.passages.length < passages) {
+      entry.passages.push({ text: chunk.text, heading: chunk.heading, start: chunk.start, end: chunk.end, score });
+    }
+  }
+
+  // Hits arrive best first, so documents are already in rank order
+  return Array.from(byDocument.values()).slice(0, limit);
+}
+
+module.exports = {
+  CHUNK_CHARS,
+  CHUNK_OVERLAP,
+  VECTOR_MIN_SCORE,
+  splitSections,
+  chunkContent,
+  syncChunks,
+  removeChunks,
+  rankByChunks
+};
@@ -0,0 +1,201 @@
+// Document content formats: plain text, Markdown and HTML
+// HTML input is sanitized before it is stored. Every format can be rendered to
+// sanitized HTML (headings get ids the outline links to) and reduced to plain
+// text, which is what summaries, embeddings and search work on. In that text
+// headings stay on lines of their own, prefixed Markdown-style ("## Setup"),
+// so the chunker can still split documents into sections.
+
+const { marked } = require('marked');
+const sanitize = require('sanitize-html');
+const { Parser } = require('htmlparser2');
+
+const FORMATS = ['plain', 'markdown', 'html'];
+const WORDS_PER_MINUTE = Number(process.env.READING_WORDS_PER_MINUTE || 200);
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitize.defaults.allowedTags,
+    'h1', 'h2', 'img', 'del', 's', 'ins', 'sup', 'sub', 'details', 'summary',
+    // task list checkboxes from Markdown
+    'input'
+  ],
+  allowedAttributes: {
+    a: ['href', 'name', 'target', 'title', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    td: ['colspan', 'rowspan', 'align'],
+    th: ['colspan', 'rowspan', 'align'],
+    ol: ['start'],
+    input: [{ name: 'type', values: ['checkbox'] }, 'checked', 'disabled']
+  },
+  // Only syntax-highlighting hints survive as classes
+  allowedClasses: { code: ['language-*'] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target ? { ...attribs, rel: 'noopener noreferrer' } : attribs
+    })
+  },
+  // Inputs other than (task list) checkboxes are dropped
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+// Tags that end a line of text, and those that also end a paragraph
+const LINE_TAGS = new Set(['br', 'li', 'tr', 'div', 'summary']);
+const PARAGRAPH_TAGS = new Set([
+  'p', 'ul', 'ol', 'pre', 'blockquote', 'table', 'hr', 'details',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+const HEADING = /^h([1-6])$/;
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function sanitizeHtml(html) {
+  return sanitize(html || '', SANITIZE_OPTIONS);
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-') || 'section';
+}
+
+// Content in a format as HTML, before heading ids are added
+function toHtml(content, format) {
+  const text = content || '';
+  switch (format) {
+    case 'markdown':
+      return sanitizeHtml(marked.parse(text, { gfm: true }));
+    case 'html':
+      return sanitizeHtml(text);
+    default:
+      return text
+        .split(/\n\s*\n/)
+        .filter(p => p.trim())
+        .map(p => `<p>${escapeHtml(p.trim()).replace(/\n/g, '<br />')}</p>`)
+        .join('\n');
+  }
+}
+
+// Walk sanitized HTML: its headings and its text
+function readHtml(html) {
+  const headings = [];
+  const lines = [];
+  let line = '';
+  let heading = null;
+
+  const breakLine = () => {
+    const text = line.replace(/\s+/g, ' ').trim();
+    if (text) lines.push(text);
+    line = '';
+  };
+  const breakParagraph = () => {
+    breakLine();
+    if (lines.length && lines[lines.length - 1] !== '') lines.push('');
+  };
+
+  const parser = new Parser({
+    onopentag(name) {
+      if (PARAGRAPH_TAGS.has(name)) breakParagraph();
+      else if (LINE_TAGS.has(name)) breakLine();
+      const match = name.match(HEADING);
+      if (match) heading = { level: Number(match[1]), text: '' };
+    },
+    ontext(text) {
+      line += text;
+      if (heading) heading.text += text;
+    },
+    onclosetag(name) {
+      if (name === 'pre') {
+        // keep code as it is laid out
+        lines.push(...line.replace(/\n+$/, '').split('\n'));
+        line = '';
+        breakParagraph();
+        return;
+      }
+      if (HEADING.test(name) && heading) {
+        const text = heading.text.replace(/\s+/g, ' ').trim();
+        if (text) {
+          headings.push({ level: heading.level, text });
+          line = `${'#'.repeat(heading.level)} ${text}`;
+        }
+        heading = null;
+      }
+      if (PARAGRAPH_TAGS.has(name)) breakParagraph();
+      else if (LINE_TAGS.has(name)) breakLine();
+    }
+  }, { decodeEntities: true });
+  parser.write(html);
+  parser.end();
+  breakLine();
+
+  return { headings, text: lines.join('\n').trim() };
+}
+
+// Give each heading a unique id
+function outlineOf(headings) {
+  const used = new Map();
+  return headings.map(({ level, text }) => {
+    const base = slugify(text);
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    return { level, text, id: count ? `${base}-${count + 1}` : base };
+  });
+}
+
+// Rendered HTML, outline and plain text of some content
+function processContent(content, format = 'plain') {
+  if (format === 'plain') {
+    const text = (content || '').trim();
+    return { html: toHtml(content, format), outline: [], text };
+  }
+  const raw = toHtml(content, format);
+  const { headings, text } = readHtml(raw);
+  const outline = outlineOf(headings);
+  let next = 0;
+  const html = raw.replace(/<h([1-6])>/g, (tag, level) => {
+    // readHtml skips empty headings; keep ids in step with the outline
+    const entry = outline[next];
+    if (!entry || String(entry.level) !== level) return tag;
+    next += 1;
+    return `<h${level} id="${entry.id}">`;
+  });
+  return { html, outline, text };
+}
+
+function countWords(text) {
+  const words = (text || '').replace(/^#{1,6} /gm, '').match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu);
+  return words ? words.length : 0;
+}
+
+// Stored metadata of some content: { plainText, outline, wordCount, readingTime (minutes) }
+function contentMetadata(content, format = 'plain') {
+  const { outline, text } = processContent(content, format);
+  const wordCount = countWords(text);
+  return {
+    plainText: text,
+    outline,
+    wordCount,
+    readingTime: wordCount ? Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)) : 0
+  };
+}
+
+// Plain text of a document: the stored text when it was loaded, else extracted
+function documentText(doc) {
+  if (typeof doc.plainText === 'string' && (doc.plainText || !doc.content)) return doc.plainText;
+  return processContent(doc.content, doc.format).text;
+}
+
+module.exports = {
+  FORMATS,
+  sanitizeHtml,
+  processContent,
+  contentMetadata,
+  countWords,
+  documentText
+};
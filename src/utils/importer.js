@@ -0,0 +1,147 @@
+// Bulk import of documents from uploaded files
+// Uploads are Markdown, HTML or text files, or ZIP archives of them. Each file
+// becomes one document: YAML front-matter supplies the title and tags, and the
+// file's directory inside the archive becomes the document's folder.
+// Problems with a single file are reported on that file and never stop the rest.
+
+const path = require('path');
+const AdmZip = require('adm-zip');
+const yaml = require('js-yaml');
+const { readEntry } = require('./zip');
+
+const MAX_FILES = Number(process.env.IMPORT_MAX_FILES || 500);
+const MAX_BYTES = Number(process.env.IMPORT_MAX_MB || 20) * 1024 * 1024;
+const MAX_TAGS = 10;
+
+const FORMAT_BY_EXTENSION = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'plain',
+  '.text': 'plain'
+};
+
+const FRONT_MATTER = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Archive paths use "/"; drop leading slashes and any ".." that climbs out
+function cleanPath(name) {
+  return path.posix.normalize(`/${name.replace(/\\/g, '/')}`).replace(/^\/+/, '');
+}
+
+// Archive noise such as macOS resource forks and dotfiles
+function isHidden(name) {
+  return name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+function isZip(file) {
+  return path.extname(file.originalname).toLowerCase() === '.zip' ||
+    file.mimetype === 'application/zip' || file.mimetype === 'application/x-zip-compressed';
+}
+
+// { data, body } of a file with YAML front-matter (data is {} without it)
+function splitFrontMatter(text) {
+  const match = text.match(FRONT_MATTER);
+  if (!match) return { data: {}, body: text };
+  let data;
+  try {
+    data = yaml.load(match[1]);
+  } catch (err) {
+    throw new Error(`Invalid front-matter: ${err.reason || err.message}`);
+  }
+  return { data: data && typeof data === 'object' && !Array.isArray(data) ? data : {}, body: text.slice(match[0].length) };
+}
+
+// Tags from front-matter: a list or a comma-separated string
+function tagsFrom(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const tags = list.map(tag => String(tag).trim()).filter(Boolean);
+  return Array.from(new Set(tags)).slice(0, MAX_TAGS);
+}
+
+// A title from the content itself: the first heading, or an HTML page's <title>
+function titleFromContent(body, format) {
+  if (format === 'markdown') {
+    const heading = body.match(/^#[ \t]+(.+?)[ \t]*#*[ \t]*$/m);
+    return heading ? heading[1] : null;
+  }
+  if (format === 'html') {
+    const title = body.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || body.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+    return title ? title[1].replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim() : null;
+  }
+  return null;
+}
+
+// The part of an HTML page that is content
+function htmlBody(html) {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  return body ? body[1] : html;
+}
+
+// Turn one file into the fields of a document:
+// { title, content, format, tags, folder }. Throws if the file cannot be imported
+// (with `skipped` set for files that are not documents, such as images).
+function parseFile(filePath, buffer, { folder = '' } = {}) {
+  const format = FORMAT_BY_EXTENSION[path.posix.extname(filePath).toLowerCase()];
+  if (!format) throw Object.assign(new Error('Unsupported file type'), { skipped: true });
+  if (buffer.includes(0)) throw new Error('Not a text file');
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const { data, body } = splitFrontMatter(text);
+  const content = format === 'html' ? htmlBody(body).trim() : body.trim();
+  if (!content) throw new Error('File is empty');
+
+  const title = (data.title !== undefined && data.title !== null ? String(data.title).trim() : '') ||
+    titleFromContent(body, format) ||
+    path.posix.basename(filePath, path.posix.extname(filePath));
+
+  const directory = path.posix.dirname(filePath);
+  return {
+    title,
+    content,
+    format,
+    tags: tagsFrom(data.tags),
+    folder: [folder, directory === '.' ? '' : directory].filter(Boolean).join('/')
+  };
+}
+
+// The files of an upload, with ZIP archives unpacked: [{ path, buffer }].
+// Throws (status 400) if the upload as a whole is unusable.
+function expandUpload(files) {
+  const tooLarge = `An import can contain at most ${MAX_BYTES / 1024 / 1024} MB`;
+  const entries = [];
+  let bytes = 0;
+  const add = (name, size, read) => {
+    if (entries.length >= MAX_FILES) throw badRequest(`An import can contain at most ${MAX_FILES} files`);
+    // Declared sizes turn big uploads away early; what is read is counted too
+    if (bytes + size > MAX_BYTES) throw badRequest(tooLarge);
+    const buffer = read(MAX_BYTES - bytes);
+    bytes += buffer.length;
+    entries.push({ path: cleanPath(name), buffer });
+  };
+
+  for (const file of files) {
+    if (!isZip(file)) {
+      add(file.originalname, file.size, () => file.buffer);
+      continue;
+    }
+    let archive;
+    try {
+      archive = new AdmZip(file.buffer);
+    } catch (err) {
+      throw badRequest(`${file.originalname} is not a valid ZIP archive`);
+    }
+    for (const entry of archive.getEntries()) {
+      if (entry.isDirectory || isHidden(entry.entryName)) continue;
+      add(entry.entryName, entry.header.size, remaining => readEntry(entry, { maxBytes: remaining, tooLarge }));
+    }
+  }
+  return entries;
+}
+
+module.exports = { FORMAT_BY_EXTENSION, MAX_FILES, MAX_BYTES, splitFrontMatter, parseFile, expandUpload };
@@ -0,0 +1,116 @@
+// Mail delivery
+// The transport is chosen with MAIL_TRANSPORT: "console" (logs the message),
+// "file" (writes JSON files to MAIL_FILE_DIR) or "smtp" (nodemailer with
+// SMTP_URL). Outside production it defaults to "console"; in production it must
+// be set. Tests can swap in their own transport with setTransport().
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+function fileTransport(dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'knowledge-hub-mail')) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const file = path.join(dir, `${id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      return { id, file };
+    }
+  };
+}
+
+function smtpTransport() {
+  let nodemailer;
+  try {
+    nodemailer = require('nodemailer');
+  } catch (_) {
+    throw new Error('nodemailer is not installed; cannot use the smtp mail transport');
+  }
+  if (!process.env.SMTP_URL) throw new Error('SMTP_URL is required for the smtp mail transport');
+  const transporter = nodemailer.createTransport(process.env.SMTP_URL);
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+function createTransport(name = process.env.MAIL_TRANSPORT) {
+  if (!name) {
+    // Logging reset links in production would silently drop every email
+    if (process.env.NODE_ENV === 'production') throw new Error('MAIL_TRANSPORT must be set in production');
+    name = 'console';
+  }
+  switch (name) {
+    case 'console':
+      return consoleTransport;
+    case 'file':
+      return fileTransport();
+    case 'smtp':
+      return smtpTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) transport = createTransport();
+  return transport;
+}
+
+// Replace the active transport (any object with an async send(message))
+function setTransport(custom) {
+  transport = custom;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || 'Knowledge Hub <no-reply@knowledgehub.local>';
+  return getTransport().send({ from, to, subject, text, html });
+}
+
+function appUrl(pathname) {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}`;
+}
+
+async function sendPasswordResetEmail(user, token) {
+  const link = appUrl(`/reset-password?token=${token}`);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Knowledge Hub password',
+    text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in one hour.\n\n${link}\n\nIf you did not ask for this, you can ignore this email.`
+  });
+}
+
+async function sendVerificationEmail(user, token) {
+  const link = appUrl(`/verify-email?token=${token}`);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Knowledge Hub email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below.\n\n${link}`
+  });
+}
+
+module.exports = {
+  createTransport,
+  getTransport,
+  fileTransport,
+  setTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,155 @@
+// Three-way merge of concurrent document edits
+// Both sides are diffed line by line against their common base version; edits
+// that touch different regions are combined and only edits whose base ranges
+// overlap (and disagree) are reported as conflicts.
+
+const diff = require('diff');
+
+function splitLines(text) {
+  return (text || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Turn a base -> other line diff into edits: { start, end, lines } over base indexes
+function editsBetween(baseLines, otherLines) {
+  const edits = [];
+  let index = 0;
+  let current = null;
+
+  for (const part of diff.diffArrays(baseLines, otherLines)) {
+    if (!part.added && !part.removed) {
+      current = null;
+      index += part.value.length;
+      continue;
+    }
+    if (!current) {
+      current = { start: index, end: index, lines: [] };
+      edits.push(current);
+    }
+    if (part.removed) {
+      index += part.value.length;
+      current.end = index;
+    } else {
+      current.lines.push(...part.value);
+    }
+  }
+  return edits;
+}
+
+function collides(a, b) {
+  if (a.start === a.end && b.start === b.end) return a.start === b.start;
+  if (a.start === a.end) return a.start > b.start && a.start < b.end;
+  if (b.start === b.end) return b.start > a.start && b.start < a.end;
+  return a.start < b.end && b.start < a.end;
+}
+
+// Apply one side's edits to the base lines of [start, end)
+function applyEdits(baseLines, start, end, edits) {
+  const out = [];
+  let index = start;
+  for (const edit of edits) {
+    out.push(...baseLines.slice(index, edit.start), ...edit.lines);
+    index = edit.end;
+  }
+  out.push(...baseLines.slice(index, end));
+  return out;
+}
+
+// Merge two edited versions of a text against their common base.
+// Returns { merged, conflicts }; merged is null when there are conflicts.
+function mergeText(base, mine, theirs) {
+  if (mine === theirs) return { merged: mine, conflicts: [] };
+  if (mine === base) return { merged: theirs, conflicts: [] };
+  if (theirs === base) return { merged: mine, conflicts: [] };
+
+  const baseLines = splitLines(base);
+  const tagged = [
+    ...editsBetween(baseLines, splitLines(mine)).map(e => ({ ...e, side: 'mine' })),
+    ...editsBetween(baseLines, splitLines(theirs)).map(e => ({ ...e, side: 'theirs' }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Group edits whose base ranges collide
+  const groups = [];
+  for (const edit of tagged) {
+    const group = groups[groups.length - 1];
+    if (group && group.edits.some(e => collides(e, edit))) {
+      group.edits.push(edit);
+      group.start = Math.min(group.start, edit.start);
+      group.end = Math.max(group.end, edit.end);
+    } else {
+      groups.push({ start: edit.start, end: edit.end, edits: [edit] });
+    }
+  }
+
+  const out = [];
+  const conflicts = [];
+  let index = 0;
+  for (const group of groups) {
+    out.push(...baseLines.slice(index, group.start));
+    index = group.end;
+
+    const mineEdits = group.edits.filter(e => e.side === 'mine');
+    const theirEdits = group.edits.filter(e => e.side === 'theirs');
+    const mineLines = applyEdits(baseLines, group.start, group.end, mineEdits);
+    const theirLines = applyEdits(baseLines, group.start, group.end, theirEdits);
+
+    if (!mineEdits.length || !theirEdits.length || mineLines.join('') === theirLines.join('')) {
+      out.push(...(mineEdits.length ? mineLines : theirLines));
+      continue;
+    }
+    conflicts.push({
+      baseStartLine: group.start + 1,
+      baseEndLine: group.end,
+      base: baseLines.slice(group.start, group.end).join(''),
+      mine: mineLines.join(''),
+      theirs: theirLines.join('')
+    });
+  }
+  out.push(...baseLines.slice(index));
+
+  return { merged: conflicts.length ? null : out.join(''), conflicts };
+}
+
+// Merge a single value: whichever side changed wins, both changing it differently conflicts
+function mergeValue(base, mine, theirs) {
+  const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+  if (same(mine, theirs) || same(theirs, base)) return { merged: mine, conflict: false };
+  if (same(mine, base)) return { merged: theirs, conflict: false };
+  return { merged: null, conflict: true };
+}
+
+// Apply the tags added/removed on my side to their tags
+function mergeTags(base = [], mine = [], theirs = []) {
+  const added = mine.filter(t => !base.includes(t));
+  const removed = new Set(base.filter(t => !mine.includes(t)));
+  return Array.from(new Set([...theirs.filter(t => !removed.has(t)), ...added]));
+}
+
+// Merge an edit made against `base` into the `current` document state.
+// `edit` holds the submitted title/content/tags (undefined = not edited).
+function mergeDocumentEdit(base, current, edit) {
+  const mine = {
+    title: edit.title !== undefined ? edit.title : base.title,
+    content: edit.content !== undefined ? edit.content : base.content,
+    tags: edit.tags !== undefined ? edit.tags : base.tags
+  };
+  const conflicts = [];
+
+  const title = mergeValue(base.title, mine.title, current.title);
+  if (title.conflict) {
+    conflicts.push({ field: 'title', base: base.title, mine: mine.title, theirs: current.title });
+  }
+
+  const content = mergeText(base.content, mine.content, current.content);
+  conflicts.push(...content.conflicts.map(c => ({ field: 'content', ...c })));
+
+  return {
+    values: {
+      title: title.merged,
+      content: content.merged,
+      tags: mergeTags(base.tags, mine.tags, current.tags)
+    },
+    conflicts
+  };
+}
+
+module.exports = { mergeText, mergeTags, mergeDocumentEdit };
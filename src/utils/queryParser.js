@@ -0,0 +1,145 @@
+// Search query language
+//   deploy staging          free-text terms
+//   "exact phrase"          phrase
+//   -draft  -"old notes"    exclude a term or phrase
+//   tag:deploy              filters: tag, author, updated, created
+//                           (other "word:" prefixes are ordinary terms)
+//   author:alice            (a name, email or user id)
+//   updated:>2026-01-01     comparisons >, >=, <, <=, = (or none: that day)
+//   created:2026-01-01..2026-02-01
+//   -tag:archived           exclude documents matching a filter
+// Values containing spaces can be quoted: tag:"release notes".
+// Syntax errors throw with err.status = 400 and the offending token and position.
+
+const FIELDS = ['tag', 'author', 'updated', 'created'];
+const DATE_FIELDS = ['updated', 'created'];
+const DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function syntaxError(message, token, position) {
+  return Object.assign(new Error(`${message} at position ${position}`), { status: 400, token, position });
+}
+
+// Split the query at whitespace outside quotes, keeping each token's position
+function tokenize(q) {
+  const tokens = [];
+  let i = 0;
+  while (i < q.length) {
+    if (/\s/.test(q[i])) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    while (i < q.length && !/\s/.test(q[i])) {
+      if (q[i] === '"') {
+        const close = q.indexOf('"', i + 1);
+        if (close === -1) throw syntaxError('Unterminated quote', q.slice(i), i);
+        i = close + 1;
+      } else {
+        i += 1;
+      }
+    }
+    tokens.push({ raw: q.slice(start, i), position: start });
+  }
+  return tokens;
+}
+
+// Strip the quotes from a quoted value; quotes elsewhere are an error
+function unquote(text, token, position) {
+  if (!text.includes('"')) return text;
+  if (text.length < 2 || text[0] !== '"' || text.indexOf('"', 1) !== text.length - 1) {
+    throw syntaxError('Unexpected quote', token, position);
+  }
+  return text.slice(1, -1);
+}
+
+function parseDate(value, token, position) {
+  const date = DATE.test(value) ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw syntaxError(`Invalid date "${value}" (use YYYY-MM-DD)`, token, position);
+  }
+  return { date, dayOnly: value.length === 10 };
+}
+
+// Turn a date filter value into a { $gt/$gte/$lt/$lte } condition
+function dateCondition(value, token, position) {
+  if (value.includes('..')) {
+    const [from, to] = value.split('..');
+    if (!from && !to) throw syntaxError('Empty date range', token, position);
+    const condition = {};
+    if (from) condition.$gte = parseDate(from, token, position).date;
+    if (to) {
+      const end = parseDate(to, token, position);
+      // An end day is inclusive
+      if (end.dayOnly) condition.$lt = new Date(end.date.getTime() + DAY_MS);
+      else condition.$lte = end.date;
+    }
+    return condition;
+  }
+
+  const [, op = '=', rest] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+  const { date, dayOnly } = parseDate(rest, token, position);
+  const nextDay = new Date(date.getTime() + DAY_MS);
+  switch (op) {
+    case '>': return dayOnly ? { $gte: nextDay } : { $gt: date };
+    case '>=': return { $gte: date };
+    case '<': return { $lt: date };
+    case '<=': return dayOnly ? { $lt: nextDay } : { $lte: date };
+    default: return dayOnly ? { $gte: date, $lt: nextDay } : { $eq: date };
+  }
+}
+
+// Parse a query into { terms, phrases, excludedTerms, excludedPhrases, filters }.
+// Filters are { field, value, negated } with a date condition as value for dates.
+function parseQuery(q = '') {
+  const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [], filters: [] };
+
+  for (const { raw, position } of tokenize(String(q))) {
+    const negated = raw.startsWith('-');
+    const body = negated ? raw.slice(1) : raw;
+    if (!body) throw syntaxError('Expected a term after "-"', raw, position);
+
+    if (body.startsWith('"')) {
+      const phrase = unquote(body, raw, position).trim();
+      if (!phrase) throw syntaxError('Empty phrase', raw, position);
+      (negated ? parsed.excludedPhrases : parsed.phrases).push(phrase);
+      continue;
+    }
+
+    // Only known fields are filters; anything else (a URL, "note:") is a term
+    const field = body.match(/^([a-z]+):(.*)$/i);
+    if (field && FIELDS.includes(field[1].toLowerCase())) {
+      const name = field[1].toLowerCase();
+      const value = unquote(field[2], raw, position).trim();
+      if (!value) throw syntaxError(`Missing value for "${name}:"`, raw, position);
+      parsed.filters.push({
+        field: name,
+        value: DATE_FIELDS.includes(name) ? dateCondition(value, raw, position) : value,
+        negated
+      });
+      continue;
+    }
+
+    const term = unquote(body, raw, position);
+    (negated ? parsed.excludedTerms : parsed.terms).push(term);
+  }
+  return parsed;
+}
+
+// The positive free text of a query (terms and phrases), e.g. for embedding
+function freeText(parsed) {
+  return [...parsed.terms, ...parsed.phrases].join(' ');
+}
+
+// The query as a $text search string, or null when it has no positive terms
+function textSearchString(parsed) {
+  if (!parsed.terms.length && !parsed.phrases.length) return null;
+  return [
+    ...parsed.terms,
+    ...parsed.phrases.map(p => `"${p}"`),
+    ...parsed.excludedTerms.map(t => `-${t}`),
+    ...parsed.excludedPhrases.map(p => `-"${p}"`)
+  ].join(' ');
+}
+
+module.exports = { FIELDS, tokenize, parseQuery, freeText, textSearchString };
@@ -0,0 +1,142 @@
+// Real-time document events and presence over Server-Sent Events
+// Connections are kept in memory, so events only reach clients connected to
+// the same server process.
+
+const crypto = require('crypto');
+const { canAccess } = require('./access');
+const { writeEvent } = require('./sse');
+
+// Activity actions mapped to the event types pushed to clients
+const EVENT_TYPES = {
+  created: 'document.created',
+  updated: 'document.updated',
+  version_created: 'document.updated',
+  deleted: 'document.deleted',
+  restored: 'document.restored',
+  purged: 'document.purged'
+};
+
+const PRESENCE_STATES = ['viewing', 'editing'];
+
+// connectionId -> { id, req, res, documents: Map(documentId -> { state, since }) }
+const connections = new Map();
+// documentId -> access fields of the document, used to filter presence broadcasts
+const presenceDocs = new Map();
+
+let sequence = 0;
+
+function send(connection, type, data) {
+  sequence += 1;
+  writeEvent(connection.res, type, data, sequence);
+}
+
+function accessFields(doc) {
+  return {
+    _id: doc._id,
+    workspace: doc.workspace,
+    createdBy: doc.createdBy && (doc.createdBy._id || doc.createdBy),
+    visibility: doc.visibility,
+    shares: doc.shares || []
+  };
+}
+
+// Connections that may see a document
+function audienceFor(doc) {
+  return Array.from(connections.values()).filter(c =>
+    String(c.req.workspace._id) === String(doc.workspace) && canAccess(c.req, doc)
+  );
+}
+
+function addConnection(req, res) {
+  const connection = { id: crypto.randomUUID(), req, res, documents: new Map() };
+  connections.set(connection.id, connection);
+  return connection;
+}
+
+function removeConnection(id) {
+  const connection = connections.get(id);
+  if (!connection) return;
+  connections.delete(id);
+  for (const documentId of connection.documents.keys()) broadcastPresence(documentId);
+}
+
+function getConnection(id) {
+  return connections.get(id) || null;
+}
+
+// Who is looking at a document right now, one entry per user
+function presenceFor(documentId) {
+  const byUser = new Map();
+  for (const connection of connections.values()) {
+    const entry = connection.documents.get(String(documentId));
+    if (!entry) continue;
+    const userId = String(connection.req.user._id);
+    const existing = byUser.get(userId);
+    if (!existing || (entry.state === 'editing' && existing.state !== 'editing')) {
+      byUser.set(userId, {
+        user: { _id: connection.req.user._id, name: connection.req.user.name },
+        state: entry.state,
+        since: entry.since
+      });
+    }
+  }
+  return Array.from(byUser.values());
+}
+
+function broadcastPresence(documentId) {
+  const doc = presenceDocs.get(String(documentId));
+  if (!doc) return;
+  const users = presenceFor(documentId);
+  for (const connection of audienceFor(doc)) {
+    send(connection, 'presence', { documentId, users });
+  }
+  if (!users.length) presenceDocs.delete(String(documentId));
+}
+
+// Set (or clear, with state = null) a connection's presence on a document
+function setPresence(connection, doc, state) {
+  const documentId = String(doc._id);
+  if (state) {
+    const previous = connection.documents.get(documentId);
+    connection.documents.set(documentId, {
+      state,
+      since: previous && previous.state === state ? previous.since : new Date()
+    });
+    presenceDocs.set(documentId, accessFields(doc));
+  } else {
+    connection.documents.delete(documentId);
+  }
+  broadcastPresence(documentId);
+  return presenceFor(documentId);
+}
+
+// Push a document event to every connection allowed to see the document
+function publishDocumentEvent(action, doc, user) {
+  const type = EVENT_TYPES[action];
+  if (!type || !connections.size) return;
+
+  if (presenceDocs.has(String(doc._id))) presenceDocs.set(String(doc._id), accessFields(doc));
+  const payload = {
+    action,
+    document: {
+      _id: doc._id,
+      title: doc.title,
+      currentVersion: doc.currentVersion,
+      updatedAt: doc.updatedAt
+    },
+    user: { _id: user._id, name: user.name },
+    at: new Date()
+  };
+  for (const connection of audienceFor(doc)) send(connection, type, payload);
+}
+
+module.exports = {
+  PRESENCE_STATES,
+  send,
+  addConnection,
+  removeConnection,
+  getConnection,
+  presenceFor,
+  setPresence,
+  publishDocumentEvent
+};
@@ -0,0 +1,165 @@
+// Retrieval of Q&A context
+// Candidate documents come from the $text index and from chunk embeddings, are
+// fused with reciprocal rank fusion, and the best matching passages of each
+// are packed into a token budget.
+
+const Document = require('../models/Document');
+const { embedText } = require('./ai');
+const { rankByChunks } = require('./chunks');
+const { accessFilter } = require('./access');
+const { estimateTokens, usageContext } = require('./usage');
+const { documentText } = require('./content');
+
+const QA_CONTEXT_TOKENS = Number(process.env.QA_CONTEXT_TOKENS || 3000);
+const QA_HISTORY_TOKENS = Number(process.env.QA_HISTORY_TOKENS || 1500);
+const CANDIDATES = 20;
+const MAX_PASSAGES_PER_DOC = 3;
+const PASSAGE_CHARS = 800;
+const RRF_K = 60;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'how',
+  'does', 'did', 'can', 'could', 'should', 'would', 'with', 'from', 'that', 'this', 'there',
+  'about', 'into', 'our', 'your', 'their', 'have', 'has', 'had', 'any', 'all', 'you', 'not'
+]);
+
+function queryTerms(question) {
+  return Array.from(new Set(
+    (question || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(w => w.length > 2 && !STOP_WORDS.has(w))
+  ));
+}
+
+// Split content into paragraph-sized passages with their offsets
+function splitPassages(content, maxChars = PASSAGE_CHARS) {
+  const passages = [];
+  const re = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g;
+  let match;
+  while ((match = re.exec(content || '')) !== null) {
+    const text = match[0];
+    for (let offset = 0; offset < text.length; offset += maxChars) {
+      const piece = text.slice(offset, offset + maxChars);
+      const trimmed = piece.trim();
+      if (!trimmed) continue;
+      const start = match.index + offset + (piece.length - piece.trimStart().length);
+      passages.push({ text: trimmed, start, end: start + trimmed.length });
+    }
+  }
+  return passages;
+}
+
+function scorePassage(passage, terms) {
+  const lower = passage.text.toLowerCase();
+  return terms.reduce((score, term) => score + (lower.includes(term) ? 1 : 0), 0);
+}
+
+async function textCandidates(req, question) {
+  return Document.find({ ...accessFilter(req), $text: { $search: question } }, { score: { $meta: 'textScore' } })
+    .active()
+    .select('+plainText')
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(CANDIDATES);
+}
+
+async function semanticCandidates(req, question) {
+  const qEmbedding = await embedText(question, { usage: usageContext(req) });
+  const visible = await Document.find(accessFilter(req)).active().distinct('_id');
+  const hits = await rankByChunks(qEmbedding, { workspace: req.workspace._id, documents: visible, limit: CANDIDATES });
+  const docs = await Document.find({ _id: { $in: hits.map(h => h.documentId) } }).select('+plainText');
+  const byId = new Map(docs.map(doc => [String(doc._id), doc]));
+  return hits.map(h => byId.get(String(h.documentId))).filter(Boolean);
+}
+
+// Reciprocal rank fusion of several ranked document lists
+function fuseRankings(lists) {
+  const fused = new Map();
+  for (const list of lists) {
+    list.forEach((doc, rank) => {
+      const id = String(doc._id);
+      const entry = fused.get(id) || { doc, score: 0 };
+      entry.score += 1 / (RRF_K + rank + 1);
+      fused.set(id, entry);
+    });
+  }
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+// Pick the best passages of the ranked documents within the token budget
+function packContext(ranked, terms, tokenBudget) {
+  const sources = [];
+  let used = 0;
+
+  for (const { doc, score } of ranked) {
+    const header = `Title: ${doc.title}\nSummary: ${doc.summary || ''}`;
+    const headerTokens = estimateTokens(header);
+    if (used + headerTokens > tokenBudget) break;
+
+    const passages = splitPassages(documentText(doc))
+      .map((p, i) => ({ ...p, score: scorePassage(p, terms), order: i }))
+      .sort((a, b) => b.score - a.score || a.order - b.order);
+
+    const picked = [];
+    let docTokens = headerTokens;
+    for (const passage of passages) {
+      if (picked.length >= MAX_PASSAGES_PER_DOC) break;
+      if (picked.length && passage.score === 0) break;
+      const tokens = estimateTokens(passage.text);
+      if (used + docTokens + tokens > tokenBudget) continue;
+      picked.push(passage);
+      docTokens += tokens;
+    }
+    if (!picked.length) continue;
+
+    used += docTokens;
+    sources.push({
+      id: sources.length + 1,
+      documentId: doc._id,
+      title: doc.title,
+      summary: doc.summary || '',
+      score,
+      passages: picked
+        .sort((a, b) => a.start - b.start)
+        .map(({ text, start, end }) => ({ text, start, end }))
+    });
+  }
+  return { sources, tokens: used };
+}
+
+// The most recent conversation messages that fit in the token budget, oldest first
+function trimHistory(messages = [], tokenBudget = QA_HISTORY_TOKENS) {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(messages[i].content);
+    if (used + tokens > tokenBudget) break;
+    kept.unshift(messages[i]);
+    used += tokens;
+  }
+  // Don't open the history halfway through a turn
+  if (kept.length && kept[0].role === 'assistant') kept.shift();
+  return kept;
+}
+
+// Retrieve the context for answering a question as numbered sources
+async function retrieveContext(req, question, { tokenBudget = QA_CONTEXT_TOKENS } = {}) {
+  const [byText, bySemantic] = await Promise.all([
+    textCandidates(req, question),
+    semanticCandidates(req, question)
+  ]);
+  const ranked = fuseRankings([byText, bySemantic]);
+  return packContext(ranked, queryTerms(question), tokenBudget);
+}
+
+module.exports = {
+  QA_CONTEXT_TOKENS,
+  QA_HISTORY_TOKENS,
+  estimateTokens,
+  queryTerms,
+  splitPassages,
+  fuseRankings,
+  trimHistory,
+  retrieveContext
+};
@@ -0,0 +1,171 @@
+// Search helpers: filters from query parameters, text index ranking and
+// facet counts for the filter sidebar
+
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const { accessFilter } = require('./access');
+const { parseQuery, freeText, textSearchString } = require('./queryParser');
+const { escapeRegExp, matcherFor, highlight, buildSnippets } = require('./snippets');
+const { documentText } = require('./content');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FACET_LIMIT = 20;
+// Fields returned for each search result (the content is replaced by snippets)
+const RESULT_FIELDS = ['_id', 'title', 'summary', 'tags', 'folder', 'visibility', 'workspace', 'createdBy', 'lastUpdatedBy', 'currentVersion', 'createdAt', 'updatedAt'];
+const DATE_RANGES = [
+  { value: 'day', label: 'Past day', days: 1 },
+  { value: 'week', label: 'Past week', days: 7 },
+  { value: 'month', label: 'Past month', days: 30 },
+  { value: 'year', label: 'Past year', days: 365 }
+];
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`Invalid ${name} date "${value}"`);
+  return date;
+}
+
+// Visible, non-deleted documents narrowed by the tag(s), author and from/to
+// (last update) query parameters. Throws with err.status = 400 on bad values.
+function searchFilter(req) {
+  const { tag, tags, author, from, to } = req.query;
+  const filter = accessFilter(req, { isDeleted: { $ne: true } });
+
+  const tagList = tags ? tags.split(',').map(t => t.trim()).filter(Boolean) : tag ? [tag] : [];
+  if (tagList.length) filter.tags = { $all: tagList };
+
+  if (author) {
+    if (!mongoose.isValidObjectId(author)) throw badRequest(`Invalid author "${author}"`);
+    filter.createdBy = new mongoose.Types.ObjectId(author);
+  }
+
+  if (from || to) {
+    filter.updatedAt = {};
+    if (from) filter.updatedAt.$gte = parseDate(from, 'from');
+    if (to) filter.updatedAt.$lte = parseDate(to, 'to');
+  }
+  return filter;
+}
+
+// Users an author: filter refers to, by id, email or name
+async function resolveAuthors(value) {
+  if (mongoose.isValidObjectId(value)) return [new mongoose.Types.ObjectId(value)];
+  const users = await User.find(value.includes('@')
+    ? { email: value.toLowerCase() }
+    : { name: { $regex: `^${escapeRegExp(value)}$`, $options: 'i' } }
+  ).select('_id');
+  return users.map(u => u._id);
+}
+
+async function filterClause({ field, value }) {
+  switch (field) {
+    case 'tag': return { tags: value };
+    case 'author': return { createdBy: { $in: await resolveAuthors(value) } };
+    case 'updated': return { updatedAt: value };
+    case 'created': return { createdAt: value };
+    default: throw badRequest(`Unknown filter "${field}"`);
+  }
+}
+
+// Compile the `q` query (see utils/queryParser) together with the filter parameters.
+// Returns { filter, text, textSearch, matcher }: `text` is the free text,
+// `textSearch` the $text search string (null without search terms) and
+// `matcher` the regex used to highlight matches.
+async function compileQuery(req) {
+  const parsed = parseQuery(req.query.q || '');
+  const filter = searchFilter(req);
+  const textSearch = textSearchString(parsed);
+
+  const clauses = [];
+  for (const f of parsed.filters) {
+    const clause = await filterClause(f);
+    clauses.push(f.negated ? { $nor: [clause] } : clause);
+  }
+  // $text handles exclusions itself, but needs at least one search term
+  if (!textSearch && (parsed.excludedTerms.length || parsed.excludedPhrases.length)) {
+    const { source } = matcherFor({ terms: parsed.excludedTerms, phrases: parsed.excludedPhrases });
+    const excluded = new RegExp(source, 'i');
+    clauses.push({ $nor: [{ title: excluded }, { plainText: excluded }, { tags: excluded }] });
+  }
+  if (clauses.length) filter.$and = [...(filter.$and || []), ...clauses];
+
+  return {
+    filter,
+    text: freeText(parsed),
+    textSearch,
+    matcher: matcherFor({ terms: parsed.terms, phrases: parsed.phrases })
+  };
+}
+
+// A document as a search result: metadata plus highlighted title and snippets
+function searchResult(doc, matcher, extra = {}) {
+  const source = doc.toObject ? doc.toObject() : doc;
+  const result = {};
+  for (const field of RESULT_FIELDS) result[field] = source[field];
+  return {
+    ...result,
+    highlightedTitle: highlight(source.title, matcher),
+    snippets: buildSnippets(documentText(source), matcher),
+    ...extra
+  };
+}
+
+// Documents matching `q` through the weighted text index, best first
+function textQuery(filter, q) {
+  return Document.find({ ...filter, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } });
+}
+
+// Counts by tag, author and last-update range over the documents matching `match`
+async function facetCounts(match) {
+  const now = Date.now();
+  const since = range => new Date(now - range.days * DAY_MS);
+
+  const [result] = await Document.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT }
+        ],
+        authors: [
+          { $group: { _id: '$createdBy', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: FACET_LIMIT },
+          { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+          { $project: { count: 1, name: { $arrayElemAt: ['$user.name', 0] } } }
+        ],
+        updated: [
+          {
+            $group: DATE_RANGES.reduce((group, range) => ({
+              ...group,
+              [range.value]: { $sum: { $cond: [{ $gte: ['$updatedAt', since(range)] }, 1, 0] } }
+            }), { _id: null })
+          }
+        ]
+      }
+    }
+  ]);
+
+  const updated = result.updated[0] || {};
+  return {
+    tags: result.tags.map(t => ({ value: t._id, count: t.count })),
+    authors: result.authors.map(a => ({ value: a._id, name: a.name || null, count: a.count })),
+    updated: DATE_RANGES.map(range => ({
+      value: range.value,
+      label: range.label,
+      from: since(range),
+      count: updated[range.value] || 0
+    }))
+  };
+}
+
+module.exports = { DATE_RANGES, searchFilter, compileQuery, textQuery, searchResult, facetCounts };
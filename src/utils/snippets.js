@@ -0,0 +1,131 @@
+// Result snippets around matching terms, with highlight markers
+// Snippet text is HTML-escaped and matches are wrapped in <mark>...</mark>.
+
+const SNIPPET_CHARS = 160;
+const MAX_SNIPPETS = 3;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Matcher for terms (as word prefixes, like the stemmed text index) and phrases
+function matcherFor({ terms = [], phrases = [] }) {
+  const patterns = [
+    ...phrases.map(p => escapeRegExp(p).replace(/\s+/g, '\\s+')),
+    ...terms.map(t => `\\b${escapeRegExp(t)}\\w*`)
+  ];
+  return patterns.length ? new RegExp(patterns.join('|'), 'gi') : null;
+}
+
+// Non-overlapping [start, end) ranges of the matches in a text
+function matchRanges(text, matcher) {
+  if (!matcher) return [];
+  const ranges = [];
+  for (const match of (text || '').matchAll(matcher)) {
+    if (!match[0]) continue;
+    const start = match.index;
+    const end = start + match[0].length;
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) last.end = Math.max(last.end, end);
+    else ranges.push({ start, end });
+  }
+  return ranges;
+}
+
+function markRanges(text, ranges, offset = 0) {
+  let out = '';
+  let index = 0;
+  for (const range of ranges) {
+    const start = Math.max(range.start - offset, 0);
+    const end = Math.min(range.end - offset, text.length);
+    if (end <= start) continue;
+    out += `${escapeHtml(text.slice(index, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    index = end;
+  }
+  return out + escapeHtml(text.slice(index));
+}
+
+// Highlight every match in a short text (e.g. a title)
+function highlight(text, matcher) {
+  return markRanges(text || '', matchRanges(text, matcher));
+}
+
+// Move an offset back (or forward) to the nearest whitespace
+function toWordBoundary(text, offset, direction) {
+  let i = offset;
+  const limit = 20;
+  for (let step = 0; step < limit && i > 0 && i < text.length; step++) {
+    if (/\s/.test(text[i - 1])) return i;
+    i += direction;
+  }
+  return offset;
+}
+
+// First index in [0, length) for which `test` holds (tests must be monotonic)
+function firstIndex(length, test) {
+  let low = 0;
+  let high = length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (test(mid)) high = mid;
+    else low = mid + 1;
+  }
+  return low;
+}
+
+// How many of the sorted, non-overlapping ranges lie inside the window
+function countWithin(ranges, { start, end }) {
+  const first = firstIndex(ranges.length, i => ranges[i].start >= start);
+  const after = firstIndex(ranges.length, i => ranges[i].end > end);
+  return Math.max(0, after - first);
+}
+
+// Up to `max` windows of the text around the densest matches:
+// [{ text, start, end }] with start/end offsets into the text
+function buildSnippets(text, matcher, { size = SNIPPET_CHARS, max = MAX_SNIPPETS } = {}) {
+  const content = text || '';
+  const ranges = matchRanges(content, matcher);
+  const windowAt = (center) => {
+    let start = Math.max(0, Math.min(center - Math.floor(size / 2), content.length - size));
+    start = toWordBoundary(content, start, -1);
+    let end = Math.min(content.length, start + size);
+    end = end < content.length ? toWordBoundary(content, end, -1) : end;
+    return { start, end };
+  };
+
+  let windows;
+  if (!ranges.length) {
+    windows = content.trim() ? [windowAt(0)] : [];
+  } else {
+    // Rank a window around each match by how many matches it covers
+    const candidates = ranges.map(r => {
+      const window = windowAt(Math.floor((r.start + r.end) / 2));
+      return { ...window, count: countWithin(ranges, window) };
+    }).sort((a, b) => b.count - a.count || a.start - b.start);
+
+    windows = [];
+    for (const candidate of candidates) {
+      if (windows.length >= max) break;
+      if (windows.some(w => candidate.start < w.end && w.start < candidate.end)) continue;
+      windows.push(candidate);
+    }
+    windows.sort((a, b) => a.start - b.start);
+  }
+
+  return windows.map(({ start, end }) => {
+    const slice = content.slice(start, end);
+    const inside = ranges.filter(r => r.end > start && r.start < end);
+    const marked = markRanges(slice, inside, start).replace(/\s+/g, ' ').trim();
+    return {
+      text: `${start > 0 ? '…' : ''}${marked}${end < content.length ? '…' : ''}`,
+      start,
+      end
+    };
+  });
+}
+
+module.exports = { escapeRegExp, matcherFor, matchRanges, highlight, buildSnippets };
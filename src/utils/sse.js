@@ -0,0 +1,26 @@
+// Server-Sent Events helpers
+
+// Switch a response into an event stream
+function initStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+function writeEvent(res, type, data, id = null) {
+  const idLine = id !== null ? `id: ${id}\n` : '';
+  res.write(`${idLine}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Whether the client asked for a streamed response
+function wantsStream(req) {
+  const flag = req.query.stream !== undefined ? req.query.stream : req.body && req.body.stream;
+  if (flag !== undefined) return flag === true || flag === 'true' || flag === '1';
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+module.exports = { initStream, writeEvent, wantsStream };
@@ -0,0 +1,132 @@
+// Access and refresh token helpers
+// Access tokens are short-lived JWTs bound to a session id; refresh tokens are
+// opaque "<sessionId>.<secret>" strings whose secret is stored hashed.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+// Stream tickets replace the access token in EventSource URLs, so they only
+// open event streams and expire quickly
+const STREAM_TICKET_AUDIENCE = 'realtime';
+const STREAM_TICKET_TTL_SECONDS = 60;
+// How many rotated refresh tokens to remember per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 100;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function randomSecret(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// A single-use ticket for opening one event stream with the caller's credential
+function signStreamTicket(user, { session, apiKey }) {
+  const claims = apiKey ? { id: user._id, kid: apiKey._id } : { id: user._id, sid: session._id };
+  return jwt.sign(claims, process.env.JWT_SECRET, {
+    audience: STREAM_TICKET_AUDIENCE,
+    expiresIn: STREAM_TICKET_TTL_SECONDS,
+    jwtid: randomSecret(16)
+  });
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Start a new session and return its first token pair
+async function createSession(user, req) {
+  const secret = randomSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip || '',
+    expiresAt: refreshExpiry()
+  });
+  return {
+    session,
+    token: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`
+  };
+}
+
+// Exchange a refresh token for a new token pair.
+// Throws with err.status = 401 when the token is invalid, expired or reused.
+async function rotateSession(refreshToken, req) {
+  const fail = (message) => Object.assign(new Error(message), { status: 401 });
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) throw fail('Invalid refresh token');
+
+  const session = await Session.findById(sessionId).select('+tokenHash +previousTokenHashes');
+  if (!session) throw fail('Invalid refresh token');
+
+  const presented = hashToken(secret);
+  if (session.previousTokenHashes.includes(presented)) {
+    // A rotated token was replayed: assume it leaked and kill the whole family
+    if (!session.revokedAt) await session.revoke('reuse_detected');
+    throw fail('Refresh token reuse detected');
+  }
+  if (session.tokenHash !== presented) throw fail('Invalid refresh token');
+  if (!session.isActive()) throw fail('Session expired or revoked');
+
+  // Rotate only if the presented token is still the current one, so of two
+  // concurrent refreshes with the same token exactly one wins
+  const nextSecret = randomSecret();
+  const update = {
+    tokenHash: hashToken(nextSecret),
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiry()
+  };
+  if (req) {
+    update.userAgent = req.headers['user-agent'] || session.userAgent;
+    update.ip = req.ip || session.ip;
+  }
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presented, revokedAt: null },
+    {
+      $set: update,
+      $push: { previousTokenHashes: { $each: [presented], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    // Someone else used the same token in the meantime: treat it as reuse
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+    );
+    throw fail('Refresh token reuse detected');
+  }
+
+  return { session: rotated, refreshToken: `${rotated._id}.${nextSecret}` };
+}
+
+// Find the session a refresh token belongs to, if its secret is current
+async function findSessionByRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  const session = await Session.findById(sessionId).select('+tokenHash');
+  if (!session || session.tokenHash !== hashToken(secret)) return null;
+  return session;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  STREAM_TICKET_AUDIENCE,
+  STREAM_TICKET_TTL_SECONDS,
+  hashToken,
+  randomSecret,
+  signAccessToken,
+  signStreamTicket,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken
+};
@@ -0,0 +1,47 @@
+// Trash helpers shared by the document controller and the purge job
+
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { logActivity } = require('./activity');
+const { removeChunks } = require('./chunks');
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+// Permanently remove a soft-deleted document
+async function purgeDocument(doc, user) {
+  await logActivity('purged', doc, user);
+  await Document.deleteOne({ _id: doc._id });
+  await DocumentVersion.deleteMany({ document: doc._id });
+  // A job still running for the document loses its lock and drops its result
+  await Job.deleteMany({ document: doc._id });
+  await removeChunks(doc._id);
+}
+
+// Purge every document that has been in the trash longer than the retention period
+async function purgeExpired(retentionDays = TRASH_RETENTION_DAYS) {
+  // Documents trashed before deletedAt was recorded count from their last update
+  await Document.updateMany(
+    { isDeleted: true, deletedAt: null },
+    [{ $set: { deletedAt: '$updatedAt' } }],
+    { timestamps: false }
+  );
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  // The access fields decide who is told about the purge
+  const expired = await Document.find({ isDeleted: true, deletedAt: { $lte: cutoff } })
+    .select('_id title workspace currentVersion createdBy deletedBy visibility shares');
+
+  const users = new Map();
+  for (const doc of expired) {
+    const userId = String(doc.deletedBy || doc.createdBy);
+    if (!users.has(userId)) {
+      users.set(userId, await User.findById(userId).select('name') || { _id: doc.deletedBy || doc.createdBy });
+    }
+    await purgeDocument(doc, users.get(userId));
+  }
+  return expired.length;
+}
+
+module.exports = { TRASH_RETENTION_DAYS, purgeDocument, purgeExpired };
@@ -0,0 +1,194 @@
+// AI usage accounting and quotas
+// Every AI call is written to the AiUsage ledger with its tokens and cost.
+// Quotas cap calls and tokens per user and per workspace, per UTC day and
+// month. Limits come from the environment (0 or unset = unlimited); a
+// workspace can override its own limits through `aiQuota`.
+
+const AiUsage = require('../models/AiUsage');
+
+const PERIODS = ['day', 'month'];
+const METRICS = ['calls', 'tokens'];
+
+// Rough token estimate (about four characters per token for English text)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function envLimit(name) {
+  return Number(process.env[name] || 0);
+}
+
+const DEFAULT_QUOTAS = {
+  user: {
+    day: { calls: envLimit('AI_QUOTA_USER_DAILY_CALLS'), tokens: envLimit('AI_QUOTA_USER_DAILY_TOKENS') },
+    month: { calls: envLimit('AI_QUOTA_USER_MONTHLY_CALLS'), tokens: envLimit('AI_QUOTA_USER_MONTHLY_TOKENS') }
+  },
+  workspace: {
+    day: { calls: envLimit('AI_QUOTA_WORKSPACE_DAILY_CALLS'), tokens: envLimit('AI_QUOTA_WORKSPACE_DAILY_TOKENS') },
+    month: { calls: envLimit('AI_QUOTA_WORKSPACE_MONTHLY_CALLS'), tokens: envLimit('AI_QUOTA_WORKSPACE_MONTHLY_TOKENS') }
+  }
+};
+
+// Prices in USD per 1000 tokens, by model: {"gpt-4o-mini": {"input": 0.00015, "output": 0.0006}}
+function loadPrices() {
+  try {
+    return JSON.parse(process.env.AI_PRICES || '{}');
+  } catch (err) {
+    console.warn('Ignoring invalid AI_PRICES:', err.message);
+    return {};
+  }
+}
+const PRICES = loadPrices();
+
+function costOf(model, inputTokens, outputTokens) {
+  const price = PRICES[model];
+  if (!price) return 0;
+  return ((price.input || 0) * inputTokens + (price.output || 0) * outputTokens) / 1000;
+}
+
+// Who an AI call made while handling a request is accounted to
+function usageContext(req) {
+  return { user: req.user, workspace: req.workspace };
+}
+
+function idOf(value) {
+  return value ? value._id || value : null;
+}
+
+// Write a ledger entry. `reported` holds the provider's own token counts, if any.
+// Never throws: accounting problems must not break the AI call itself.
+async function recordUsage({ context = {}, operation, provider, model, input, output, reported, durationMs, error }) {
+  const inputTokens = reported && reported.inputTokens !== undefined ? reported.inputTokens : estimateTokens(input);
+  const outputTokens = reported && reported.outputTokens !== undefined ? reported.outputTokens : estimateTokens(output);
+  try {
+    await AiUsage.create({
+      user: idOf(context.user),
+      workspace: idOf(context.workspace),
+      operation,
+      provider,
+      model,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      estimated: !reported,
+      costUsd: costOf(model, inputTokens, outputTokens),
+      durationMs,
+      status: error ? 'error' : 'ok',
+      error: error ? error.message : null
+    });
+  } catch (err) {
+    console.error('Error recording AI usage:', err);
+  }
+}
+
+function periodStart(period, now = new Date()) {
+  return period === 'day'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function periodEnd(period, now = new Date()) {
+  return period === 'day'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+// Limits for a workspace, with its own overrides applied
+function quotasFor(scope, workspace) {
+  const defaults = DEFAULT_QUOTAS[scope];
+  if (scope !== 'workspace' || !workspace || !workspace.aiQuota) return defaults;
+  const override = workspace.aiQuota;
+  const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+  return {
+    day: { calls: pick(override.dailyCalls, defaults.day.calls), tokens: pick(override.dailyTokens, defaults.day.tokens) },
+    month: { calls: pick(override.monthlyCalls, defaults.month.calls), tokens: pick(override.monthlyTokens, defaults.month.tokens) }
+  };
+}
+
+// Calls and tokens used in the current day and month
+async function usageSince(match, now = new Date()) {
+  const dayStart = periodStart('day', now);
+  const [totals] = await AiUsage.aggregate([
+    { $match: { ...match, createdAt: { $gte: periodStart('month', now) } } },
+    {
+      $group: {
+        _id: null,
+        monthCalls: { $sum: 1 },
+        monthTokens: { $sum: '$totalTokens' },
+        dayCalls: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, 1, 0] } },
+        dayTokens: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, '$totalTokens', 0] } }
+      }
+    }
+  ]);
+  return {
+    day: { calls: totals ? totals.dayCalls : 0, tokens: totals ? totals.dayTokens : 0 },
+    month: { calls: totals ? totals.monthCalls : 0, tokens: totals ? totals.monthTokens : 0 }
+  };
+}
+
+// Usage against the limits for a user and workspace:
+// { user: { day: { calls: { used, limit }, ... } }, workspace: ... }
+async function quotaStatus({ user, workspace }, now = new Date()) {
+  const scopes = [['user', user, { user: idOf(user) }], ['workspace', workspace, { workspace: idOf(workspace) }]];
+  const status = {};
+  for (const [scope, subject, match] of scopes) {
+    if (!subject) continue;
+    const limits = quotasFor(scope, subject);
+    const used = await usageSince(match, now);
+    status[scope] = {};
+    for (const period of PERIODS) {
+      status[scope][period] = { resetAt: periodEnd(period, now) };
+      for (const metric of METRICS) {
+        status[scope][period][metric] = { used: used[period][metric], limit: limits[period][metric] || null };
+      }
+    }
+  }
+  return status;
+}
+
+// The first exceeded quota, or null:
+// { scope, period, metric, limit, used, resetAt, retryAfter (seconds) }
+async function checkQuota(context, now = new Date()) {
+  const status = await quotaStatus(context, now);
+  for (const scope of Object.keys(status)) {
+    for (const period of PERIODS) {
+      for (const metric of METRICS) {
+        const { used, limit } = status[scope][period][metric];
+        if (limit && used >= limit) {
+          const resetAt = status[scope][period].resetAt;
+          return {
+            scope,
+            period,
+            metric,
+            limit,
+            used,
+            resetAt,
+            retryAfter: Math.max(1, Math.ceil((resetAt.getTime() - now.getTime()) / 1000))
+          };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Error for an exceeded quota; retryAt tells queued jobs when to run again
+function quotaError(exceeded) {
+  return Object.assign(
+    new Error(`AI quota exceeded: ${exceeded.limit} ${exceeded.metric} per ${exceeded.period} for this ${exceeded.scope}`),
+    { status: 429, quota: exceeded, retryAt: exceeded.resetAt }
+  );
+}
+
+module.exports = {
+  DEFAULT_QUOTAS,
+  estimateTokens,
+  costOf,
+  usageContext,
+  recordUsage,
+  periodStart,
+  periodEnd,
+  quotaStatus,
+  checkQuota,
+  quotaError
+};
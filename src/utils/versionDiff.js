@@ -0,0 +1,143 @@
+// Compare two document snapshots field by field
+// Text fields (title, content, summary) are diffed by line, word or character
+// and returned either as structured hunks or as unified-diff text. Tags are
+// compared as sets.
+
+const diff = require('diff');
+
+const GRANULARITIES = {
+  line: diff.diffLines,
+  word: diff.diffWordsWithSpace,
+  char: diff.diffChars
+};
+const FORMATS = ['hunks', 'unified'];
+const TEXT_FIELDS = ['title', 'content', 'summary'];
+const FIELDS = [...TEXT_FIELDS, 'tags'];
+
+// Line number (1-based) of any offset in text. Line starts are found once, so
+// looking up every hunk stays linear in the size of the text.
+function lineLookup(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+// Group consecutive added/removed parts into hunks with offsets into both texts
+function toHunks(parts, from, to) {
+  const hunks = [];
+  const oldLineAt = lineLookup(from);
+  const newLineAt = lineLookup(to);
+  let oldOffset = 0;
+  let newOffset = 0;
+  let current = null;
+
+  for (const part of parts) {
+    if (!part.added && !part.removed) {
+      current = null;
+      oldOffset += part.value.length;
+      newOffset += part.value.length;
+      continue;
+    }
+    if (!current) {
+      current = {
+        oldStart: oldOffset,
+        oldEnd: oldOffset,
+        newStart: newOffset,
+        newEnd: newOffset,
+        oldLine: oldLineAt(oldOffset),
+        newLine: newLineAt(newOffset),
+        removed: '',
+        added: ''
+      };
+      hunks.push(current);
+    }
+    if (part.removed) {
+      current.removed += part.value;
+      oldOffset += part.value.length;
+      current.oldEnd = oldOffset;
+    } else {
+      current.added += part.value;
+      newOffset += part.value.length;
+      current.newEnd = newOffset;
+    }
+  }
+  return hunks;
+}
+
+function compareText(from = '', to = '', { granularity, format, label }) {
+  const changed = from !== to;
+  if (format === 'unified') {
+    return {
+      changed,
+      patch: changed ? diff.createTwoFilesPatch(`a/${label.field}`, `b/${label.field}`, from, to, label.from, label.to) : ''
+    };
+  }
+
+  const parts = GRANULARITIES[granularity](from, to);
+  const stats = { added: 0, removed: 0 };
+  for (const part of parts) {
+    if (part.added) stats.added += part.count || 1;
+    if (part.removed) stats.removed += part.count || 1;
+  }
+  return { changed, stats, hunks: changed ? toHunks(parts, from, to) : [] };
+}
+
+function compareTags(from = [], to = [], { format, label }) {
+  const before = new Set(from);
+  const after = new Set(to);
+  const result = {
+    changed: JSON.stringify(from) !== JSON.stringify(to),
+    added: to.filter(t => !before.has(t)),
+    removed: from.filter(t => !after.has(t)),
+    unchanged: to.filter(t => before.has(t))
+  };
+  if (format === 'unified') {
+    result.patch = result.changed
+      ? diff.createTwoFilesPatch('a/tags', 'b/tags', `${from.join('\n')}\n`, `${to.join('\n')}\n`, label.from, label.to)
+      : '';
+  }
+  return result;
+}
+
+// Compare two snapshots ({ title, content, summary, tags }).
+// Unified diffs are always by line; granularity defaults to "word" for hunks.
+// Throws with err.status = 400 on unknown or conflicting options.
+function compareSnapshots(from, to, { granularity, format = 'hunks', fields = FIELDS, labels = {} } = {}) {
+  const fail = (message) => Object.assign(new Error(message), { status: 400 });
+  if (format === 'unified') {
+    if (granularity !== undefined && granularity !== 'line') {
+      throw fail(`The unified format is line-based; granularity "${granularity}" is not supported`);
+    }
+    granularity = 'line';
+  }
+  if (granularity === undefined) granularity = 'word';
+  if (!GRANULARITIES[granularity]) throw fail(`Invalid granularity "${granularity}" (use ${Object.keys(GRANULARITIES).join(', ')})`);
+  if (!FORMATS.includes(format)) throw fail(`Invalid format "${format}" (use ${FORMATS.join(', ')})`);
+  const unknown = fields.filter(f => !FIELDS.includes(f));
+  if (unknown.length) throw fail(`Invalid fields: ${unknown.join(', ')}`);
+
+  const result = {};
+  for (const field of fields) {
+    const label = { field, from: labels.from || 'from', to: labels.to || 'to' };
+    result[field] = field === 'tags'
+      ? compareTags(from.tags || [], to.tags || [], { format, label })
+      : compareText(from[field] || '', to[field] || '', { granularity, format, label });
+  }
+
+  const output = { granularity, fields: result, changed: fields.some(f => result[f].changed) };
+  if (format === 'unified') {
+    output.patch = fields.map(f => result[f].patch).filter(Boolean).join('');
+  }
+  return output;
+}
+
+module.exports = { compareSnapshots, GRANULARITIES, FORMATS, FIELDS };
@@ -0,0 +1,88 @@
+// Version retention policies
+// A policy is written as a string so it can live in an env var or on a workspace:
+//   all               keep every version (default)
+//   last:N            keep the N most recent versions
+//   thin:D:M          keep every version from the last D days, the newest version
+//                     per day up to M days old, and the newest per week after that
+
+const DocumentVersion = require('../models/DocumentVersion');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+function parsePolicy(value) {
+  const raw = String(value || 'all').trim().toLowerCase();
+  const [type, ...args] = raw.split(':');
+  const nums = args.map(Number);
+
+  switch (type) {
+    case 'all':
+      if (args.length) break;
+      return { type: 'all' };
+    case 'last':
+      if (nums.length !== 1 || !Number.isInteger(nums[0]) || nums[0] < 1) break;
+      return { type: 'last', count: nums[0] };
+    case 'thin': {
+      const [keepAllDays = 7, dailyDays = 30] = nums;
+      if (nums.length > 2 || [keepAllDays, dailyDays].some(n => !Number.isFinite(n) || n < 0)) break;
+      if (dailyDays < keepAllDays) break;
+      return { type: 'thin', keepAllDays, dailyDays };
+    }
+    default:
+      break;
+  }
+  throw new Error(`Invalid version retention policy "${value}"`);
+}
+
+function isValidPolicy(value) {
+  try {
+    parsePolicy(value);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Policy for a workspace, falling back to the deployment default
+function policyFor(workspace) {
+  return parsePolicy((workspace && workspace.versionRetention) || process.env.VERSION_RETENTION || 'all');
+}
+
+// Decide which versions a policy drops. `versions` need versionNumber and createdAt.
+function selectExpired(versions, policy, now = new Date()) {
+  const sorted = [...versions].sort((a, b) => b.versionNumber - a.versionNumber);
+  if (policy.type === 'all' || sorted.length <= 1) return [];
+  if (policy.type === 'last') return sorted.slice(policy.count);
+
+  const seen = new Set();
+  const expired = [];
+  sorted.forEach((version, i) => {
+    // The newest version always stays
+    if (i === 0) return;
+    const created = new Date(version.createdAt).getTime();
+    const age = now.getTime() - created;
+    if (age < policy.keepAllDays * DAY_MS) return;
+
+    const bucket = age < policy.dailyDays * DAY_MS
+      ? `d:${Math.floor(created / DAY_MS)}`
+      : `w:${Math.floor(created / WEEK_MS)}`;
+    if (seen.has(bucket)) expired.push(version);
+    else seen.add(bucket);
+  });
+  return expired;
+}
+
+// Delete the versions of a document that fall outside the policy
+async function applyRetention(documentId, policy, session = null) {
+  if (policy.type === 'all') return 0;
+  const versions = await DocumentVersion.find({ document: documentId })
+    .select('_id versionNumber createdAt')
+    .session(session)
+    .lean();
+  const expired = selectExpired(versions, policy);
+  if (!expired.length) return 0;
+  await DocumentVersion.deleteMany({ _id: { $in: expired.map(v => v._id) } }, { session });
+  return expired.length;
+}
+
+module.exports = { parsePolicy, isValidPolicy, policyFor, selectExpired, applyRetention };
@@ -0,0 +1,45 @@
+// Reading entries of uploaded ZIP archives with a hard size limit
+// adm-zip inflates an entry up to the size its header declares, and without
+// any limit when that size is 0, so entries are inflated here with zlib's
+// output cap instead and checked against their declared size and CRC.
+
+const zlib = require('zlib');
+const { crc32 } = require('adm-zip/util');
+
+const STORED = 0;
+const DEFLATED = 8;
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// The contents of an archive entry. Throws (status 400) with `tooLarge` as the
+// message once the entry would exceed maxBytes, or if it is damaged.
+function readEntry(entry, { maxBytes, tooLarge }) {
+  const name = entry.entryName;
+  if (entry.header.encrypted) throw badRequest(`${name} is encrypted`);
+
+  let data;
+  try {
+    const compressed = entry.getCompressedData();
+    if (entry.header.method === STORED) {
+      data = compressed;
+    } else if (entry.header.method === DEFLATED) {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(maxBytes, 1) });
+    } else {
+      throw badRequest(`${name} uses an unsupported compression method`);
+    }
+  } catch (err) {
+    if (err.status) throw err;
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw badRequest(tooLarge);
+    throw badRequest(`${name} is damaged`);
+  }
+
+  if (data.length > maxBytes) throw badRequest(tooLarge);
+  if (data.length !== entry.header.size || crc32(data) !== entry.header.crc) {
+    throw badRequest(`${name} is damaged`);
+  }
+  return data;
+}
+
+module.exports = { readEntry };
@@ -0,0 +1,41 @@
+// MongoDB Atlas Vector Search over the DocumentChunk collection.
+// Atlas keeps the index in sync with the collection itself, so writes are
+// no-ops here. The Atlas index must map `embedding` as a vector field and
+// `workspace`, `document` and `embeddingSpace` as filter fields.
+
+const DocumentChunk = require('../models/DocumentChunk');
+
+function createAtlasIndex({ indexName = process.env.ATLAS_VECTOR_INDEX || 'chunk_embeddings' } = {}) {
+  async function init() {}
+  async function upsert() {}
+  async function remove() {}
+  async function flush() {}
+
+  async function query(vector, { k = 10, minScore = 0, workspace = null, documents = null, space } = {}) {
+    const filter = { embeddingSpace: space };
+    if (workspace) filter.workspace = workspace;
+    if (documents) filter.document = { $in: documents };
+
+    const hits = await DocumentChunk.aggregate([
+      {
+        $vectorSearch: {
+          index: indexName,
+          path: 'embedding',
+          queryVector: vector,
+          numCandidates: Math.max(k * 10, 100),
+          limit: k,
+          filter
+        }
+      },
+      { $project: { document: 1, hash: 1, score: { $meta: 'vectorSearchScore' } } }
+    ]);
+    // Atlas reports cosine scores as (1 + cosine) / 2
+    return hits
+      .map(hit => ({ id: DocumentChunk.key(hit.document, hit.hash), document: String(hit.document), score: hit.score * 2 - 1 }))
+      .filter(hit => hit.score >= minScore);
+  }
+
+  return { name: 'atlas', init, upsert, remove, query, flush };
+}
+
+module.exports = { createAtlasIndex };
@@ -0,0 +1,226 @@
+// Hierarchical Navigable Small World graph for approximate nearest neighbour
+// search by cosine similarity. Vectors are normalised on insert, so the
+// distance between two nodes is 1 - their dot product.
+// Removed nodes stay in the graph as tombstones (so it remains navigable)
+// until the graph is compacted.
+
+function normalize(vector) {
+  let norm = 0;
+  for (const v of vector) norm += v * v;
+  norm = Math.sqrt(norm) || 1;
+  return vector.map(v => v / norm);
+}
+
+function dot(a, b) {
+  const n = Math.min(a.length, b.length);
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Insert into a list kept sorted by ascending distance
+function insertSorted(list, item) {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].dist < item.dist) lo = mid + 1;
+    else hi = mid;
+  }
+  list.splice(lo, 0, item);
+}
+
+function createHnsw({ M = 16, efConstruction = 200, efSearch = 64 } = {}) {
+  const levelFactor = 1 / Math.log(M);
+  // id -> { id, vector, level, neighbors: [[id]], meta, deleted }
+  let nodes = new Map();
+  let entry = null;
+  let maxLevel = -1;
+  let tombstones = 0;
+
+  const maxConnections = level => (level === 0 ? M * 2 : M);
+  const distance = (vector, id) => 1 - dot(vector, nodes.get(id).vector);
+
+  function searchLayer(vector, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = [];
+    const results = [];
+    for (const id of entryIds) {
+      const item = { id, dist: distance(vector, id) };
+      insertSorted(candidates, item);
+      insertSorted(results, item);
+    }
+
+    while (candidates.length) {
+      const current = candidates.shift();
+      if (results.length >= ef && current.dist > results[results.length - 1].dist) break;
+      for (const id of nodes.get(current.id).neighbors[level] || []) {
+        if (visited.has(id) || !nodes.has(id)) continue;
+        visited.add(id);
+        const dist = distance(vector, id);
+        if (results.length < ef || dist < results[results.length - 1].dist) {
+          insertSorted(candidates, { id, dist });
+          insertSorted(results, { id, dist });
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+    return results;
+  }
+
+  // Walk down the upper layers to the closest entry point for `level`
+  function descend(vector, toLevel) {
+    let entryIds = [entry];
+    for (let level = maxLevel; level > toLevel; level--) {
+      entryIds = [searchLayer(vector, entryIds, 1, level)[0].id];
+    }
+    return entryIds;
+  }
+
+  function connect(node, found, level) {
+    const limit = maxConnections(level);
+    node.neighbors[level] = found.filter(f => f.id !== node.id).slice(0, limit).map(f => f.id);
+    for (const id of node.neighbors[level]) {
+      const other = nodes.get(id);
+      other.neighbors[level].push(node.id);
+      if (other.neighbors[level].length > limit) {
+        other.neighbors[level] = other.neighbors[level]
+          .map(n => ({ id: n, dist: distance(other.vector, n) }))
+          .sort((a, b) => a.dist - b.dist)
+          .slice(0, limit)
+          .map(n => n.id);
+      }
+    }
+  }
+
+  function add(id, vector, meta = {}) {
+    const existing = nodes.get(id);
+    if (existing && !existing.deleted) {
+      existing.meta = meta;
+      return;
+    }
+    if (existing) {
+      // Re-adding a tombstone: drop the old node first
+      nodes.delete(id);
+      tombstones -= 1;
+      if (entry === id) compact();
+    }
+
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * levelFactor);
+    const node = {
+      id,
+      vector: normalize(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      meta,
+      deleted: false
+    };
+    nodes.set(id, node);
+    if (entry === null) {
+      entry = id;
+      maxLevel = level;
+      return;
+    }
+
+    let entryIds = descend(node.vector, level);
+    for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+      const found = searchLayer(node.vector, entryIds, efConstruction, l);
+      connect(node, found, l);
+      entryIds = found.map(f => f.id);
+    }
+    if (level > maxLevel) {
+      maxLevel = level;
+      entry = id;
+    }
+  }
+
+  function remove(id) {
+    const node = nodes.get(id);
+    if (!node || node.deleted) return;
+    node.deleted = true;
+    tombstones += 1;
+    if (tombstones > 100 && tombstones > nodes.size / 4) compact();
+  }
+
+  // Rebuild the graph from the live nodes, dropping tombstones
+  function compact() {
+    const live = Array.from(nodes.values()).filter(n => !n.deleted);
+    nodes = new Map();
+    entry = null;
+    maxLevel = -1;
+    tombstones = 0;
+    for (const node of live) add(node.id, node.vector, node.meta);
+  }
+
+  // The k nearest live nodes that pass `filter(meta)` with a score of at least minScore.
+  // Returns [{ id, score, meta }] ordered by descending score.
+  function search(vector, { k = 10, minScore = -1, filter = null } = {}) {
+    if (entry === null) return [];
+    const query = normalize(vector);
+    const entryIds = descend(query, 0);
+    const liveCount = nodes.size - tombstones;
+
+    let ef = Math.max(efSearch, k);
+    for (;;) {
+      const found = searchLayer(query, entryIds, ef, 0);
+      const hits = [];
+      for (const { id, dist } of found) {
+        const node = nodes.get(id);
+        const score = 1 - dist;
+        if (score < minScore) break;
+        if (node.deleted || (filter && !filter(node.meta))) continue;
+        hits.push({ id, score, meta: node.meta });
+        if (hits.length === k) break;
+      }
+      // Widen the search when filtering left too few hits
+      const exhausted = ef >= nodes.size || !found.length || 1 - found[found.length - 1].dist < minScore;
+      if (hits.length >= Math.min(k, liveCount) || exhausted) return hits;
+      ef *= 4;
+    }
+  }
+
+  function has(id) {
+    const node = nodes.get(id);
+    return Boolean(node && !node.deleted);
+  }
+
+  function ids() {
+    return Array.from(nodes.values()).filter(n => !n.deleted).map(n => n.id);
+  }
+
+  function toJSON() {
+    return {
+      M,
+      entry,
+      maxLevel,
+      nodes: Array.from(nodes.values()).map(n => [n.id, n.level, n.vector, n.neighbors, n.meta, n.deleted])
+    };
+  }
+
+  function load(data) {
+    nodes = new Map();
+    tombstones = 0;
+    for (const [id, level, vector, neighbors, meta, deleted] of data.nodes) {
+      nodes.set(id, { id, level, vector, neighbors, meta, deleted });
+      if (deleted) tombstones += 1;
+    }
+    entry = data.entry;
+    maxLevel = data.maxLevel;
+  }
+
+  return {
+    add,
+    remove,
+    search,
+    has,
+    ids,
+    compact,
+    toJSON,
+    load,
+    get size() {
+      return nodes.size - tombstones;
+    }
+  };
+}
+
+module.exports = { createHnsw, normalize };
@@ -0,0 +1,38 @@
+// Vector index used for semantic search over document chunks
+// The adapter is chosen with VECTOR_INDEX: "local" (in-process HNSW, default)
+// or "atlas" (MongoDB Atlas Vector Search). An adapter implements:
+//   init()                                  load or build the index after Mongo connects
+//   upsert([{ id, vector, document, workspace, space }])
+//   remove([id])
+//   query(vector, { k, minScore, workspace, documents, space }) -> [{ id, document, score }]
+//   flush()                                 persist pending changes
+// Entry ids are DocumentChunk.key(documentId, hash). `space` is the embedding
+// space (utils/ai embeddingSpace); queries only match entries in their space.
+
+const { createLocalIndex } = require('./localIndex');
+const { createAtlasIndex } = require('./atlasIndex');
+
+const ADAPTERS = {
+  local: createLocalIndex,
+  atlas: createAtlasIndex
+};
+
+let index = null;
+
+function createVectorIndex(name = process.env.VECTOR_INDEX || 'local') {
+  const create = ADAPTERS[name];
+  if (!create) throw new Error(`Unknown VECTOR_INDEX "${name}" (use ${Object.keys(ADAPTERS).join(', ')})`);
+  return create();
+}
+
+function getVectorIndex() {
+  if (!index) index = createVectorIndex();
+  return index;
+}
+
+// Swap the adapter (e.g. in scripts)
+function setVectorIndex(adapter) {
+  index = adapter;
+}
+
+module.exports = { ADAPTERS, createVectorIndex, getVectorIndex, setVectorIndex };
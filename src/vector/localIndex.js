@@ -0,0 +1,157 @@
+// In-process vector index: an HNSW graph over the chunk embeddings, saved to
+// a JSON file and reconciled with the DocumentChunk collection on start, so a
+// missing or out-of-date file is repaired from Mongo. Each embedding space
+// gets its own graph, so vectors of different models are never compared.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocumentChunk = require('../models/DocumentChunk');
+const { createHnsw } = require('./hnsw');
+
+const SAVE_DELAY_MS = 2000;
+
+function createLocalIndex({
+  file = process.env.VECTOR_INDEX_FILE || path.join(os.tmpdir(), 'knowledge-hub-vector-index.json'),
+  M = Number(process.env.VECTOR_INDEX_M || 16),
+  efConstruction = Number(process.env.VECTOR_INDEX_EF_CONSTRUCTION || 200),
+  efSearch = Number(process.env.VECTOR_INDEX_EF_SEARCH || 64)
+} = {}) {
+  let graphs = new Map();
+  let saveTimer = null;
+  let dirty = false;
+
+  async function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!dirty) return;
+    dirty = false;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    const spaces = {};
+    for (const [space, graph] of graphs) spaces[space] = graph.toJSON();
+    await fs.promises.writeFile(tmp, JSON.stringify({ spaces }));
+    await fs.promises.rename(tmp, file);
+  }
+
+  function scheduleSave() {
+    dirty = true;
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      flush().catch(err => console.error('Error saving vector index:', err));
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  function graphFor(space) {
+    if (!graphs.has(space)) graphs.set(space, createHnsw({ M, efConstruction, efSearch }));
+    return graphs.get(space);
+  }
+
+  // Space an id is stored in, if any
+  function spaceOf(id) {
+    for (const [space, graph] of graphs) {
+      if (graph.has(id)) return space;
+    }
+    return null;
+  }
+
+  function size() {
+    let total = 0;
+    for (const graph of graphs.values()) total += graph.size;
+    return total;
+  }
+
+  async function readFile() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      // Files from before embedding spaces hold a single graph; rebuild those
+      if (!data.spaces) return false;
+      graphs = new Map();
+      for (const [space, graphData] of Object.entries(data.spaces)) graphFor(space).load(graphData);
+      return true;
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`Vector index file ${file} is unreadable, rebuilding:`, err.message);
+      return false;
+    }
+  }
+
+  // Add chunks missing from the graphs and drop entries whose chunk is gone
+  // or was re-embedded into another space. Chunks without a recorded space
+  // stay out of the index until they are re-indexed.
+  async function reconcile() {
+    const stored = new Map();
+    const cursor = DocumentChunk.find({ embeddingSpace: { $ne: null } })
+      .select('document workspace hash embeddingSpace')
+      .lean()
+      .cursor();
+    for await (const chunk of cursor) {
+      stored.set(DocumentChunk.key(chunk.document, chunk.hash), chunk);
+    }
+
+    let removed = 0;
+    for (const [space, graph] of graphs) {
+      for (const id of graph.ids()) {
+        const chunk = stored.get(id);
+        if (!chunk || chunk.embeddingSpace !== space) {
+          graph.remove(id);
+          removed += 1;
+        }
+      }
+    }
+
+    const missing = Array.from(stored.values()).filter(c => !graphFor(c.embeddingSpace).has(DocumentChunk.key(c.document, c.hash)));
+    for (const { _id } of missing) {
+      const chunk = await DocumentChunk.findById(_id).select('+embedding document workspace hash embeddingSpace').lean();
+      if (chunk && chunk.embedding.length) {
+        graphFor(chunk.embeddingSpace).add(DocumentChunk.key(chunk.document, chunk.hash), chunk.embedding, {
+          document: String(chunk.document),
+          workspace: String(chunk.workspace)
+        });
+      }
+    }
+    for (const [space, graph] of graphs) {
+      if (!graph.size) graphs.delete(space);
+    }
+    if (removed || missing.length) scheduleSave();
+    return { added: missing.length, removed };
+  }
+
+  async function init() {
+    await readFile();
+    const { added, removed } = await reconcile();
+    console.log(` Vector index ready (${size()} chunks in ${graphs.size} embedding spaces, ${added} added, ${removed} removed)`);
+  }
+
+  async function upsert(entries) {
+    for (const { id, vector, document, workspace, space } of entries) {
+      // A re-embedded chunk moves out of its old space
+      const previous = spaceOf(id);
+      if (previous && previous !== space) graphs.get(previous).remove(id);
+      graphFor(space).add(id, vector, { document: String(document), workspace: String(workspace) });
+    }
+    if (entries.length) scheduleSave();
+  }
+
+  async function remove(ids) {
+    for (const id of ids) {
+      const space = spaceOf(id);
+      if (space) graphs.get(space).remove(id);
+    }
+    if (ids.length) scheduleSave();
+  }
+
+  async function query(vector, { k = 10, minScore = 0, workspace = null, documents = null, space } = {}) {
+    const graph = graphs.get(space);
+    if (!graph) return [];
+    const allowed = documents ? new Set(documents.map(String)) : null;
+    const filter = meta =>
+      (!workspace || meta.workspace === String(workspace)) && (!allowed || allowed.has(meta.document));
+    return graph.search(vector, { k, minScore, filter })
+      .map(({ id, score, meta }) => ({ id, document: meta.document, score }));
+  }
+
+  return { name: 'local', init, upsert, remove, query, flush };
+}
+
+module.exports = { createLocalIndex };
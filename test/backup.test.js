@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+
+process.env.RESTORE_MAX_MB = '1';
+const { documentMarkdown, exportFileName, readBackup } = require('../src/utils/backup');
+const { parseFile } = require('../src/utils/importer');
+
+function archive(files) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) zip.addFile(name, Buffer.from(content));
+  return zip.toBuffer();
+}
+
+// Rewrite the uncompressed size one entry declares, in its local and central
+// directory headers
+const HEADERS = [
+  { signature: 0x04034b50, sizeAt: 22, nameLengthAt: 26, nameAt: 30 },
+  { signature: 0x02014b50, sizeAt: 24, nameLengthAt: 28, nameAt: 46 }
+];
+
+function declareSize(buffer, name, size) {
+  const patched = Buffer.from(buffer);
+  for (const { signature, sizeAt, nameLengthAt, nameAt } of HEADERS) {
+    for (let at = 0; at < patched.length - 4; at++) {
+      if (patched.readUInt32LE(at) !== signature) continue;
+      const nameLength = patched.readUInt16LE(at + nameLengthAt);
+      if (patched.toString('utf8', at + nameAt, at + nameAt + nameLength) === name) patched.writeUInt32LE(size, at + sizeAt);
+    }
+  }
+  return patched;
+}
+
+const isBadRequest = (pattern) => (err) => err.status === 400 && pattern.test(err.message);
+
+describe('export and import round trip', () => {
+  const doc = {
+    _id: '665f1c2b9d3e4a0012345678',
+    title: 'Release: notes / 2026',
+    content: '## Changes\n\n- Faster search',
+    format: 'markdown',
+    tags: ['release', 'notes'],
+    folder: 'handbook/releases',
+    visibility: 'workspace',
+    currentVersion: 3,
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    updatedAt: new Date('2026-02-01T00:00:00Z')
+  };
+
+  it('imports an exported document with the same fields', () => {
+    const fileName = exportFileName(doc);
+    assert.equal(fileName, 'Release- notes - 2026.md');
+    const imported = parseFile(`${doc.folder}/${fileName}`, Buffer.from(documentMarkdown(doc)));
+    assert.deepEqual(imported, {
+      title: doc.title,
+      content: doc.content,
+      format: 'markdown',
+      tags: doc.tags,
+      folder: doc.folder
+    });
+  });
+});
+
+describe('readBackup', () => {
+  const manifest = JSON.stringify({ format: 'knowledge-hub-backup', version: 1 });
+  const collections = {
+    'users.jsonl': '{"email":"a@example.com"}\n',
+    'workspaces.jsonl': '',
+    'documents.jsonl': '{"title":"A"}\n{"title":"B"}',
+    'versions.jsonl': '',
+    'activity.jsonl': ''
+  };
+
+  it('reads the manifest and every collection', () => {
+    const { records } = readBackup(archive({ 'manifest.json': manifest, ...collections }));
+    assert.deepEqual(records.documents, [{ title: 'A' }, { title: 'B' }]);
+    assert.deepEqual(records.users, [{ email: 'a@example.com' }]);
+    assert.deepEqual(records.versions, []);
+  });
+
+  it('rejects anything that is not a backup', () => {
+    const rejects = (buffer, pattern) => assert.throws(() => readBackup(buffer), isBadRequest(pattern));
+    rejects(Buffer.from('plain text'), /ZIP/);
+    rejects(archive(collections), /manifest.json is missing/);
+    rejects(archive({ 'manifest.json': '{"format":"other"}', ...collections }), /Not a backup of this application/);
+    rejects(archive({ 'manifest.json': manifest, ...collections, 'documents.jsonl': '{broken' }), /invalid documents.jsonl/);
+  });
+
+  it('stops inflating entries that declare a smaller size than they hold', () => {
+    const documents = '{"title":"padding"}\n'.repeat(100000);
+    const buffer = declareSize(archive({ 'manifest.json': manifest, ...collections, 'documents.jsonl': documents }), 'documents.jsonl', 0);
+    assert.ok(buffer.length < 100 * 1024);
+    assert.throws(() => readBackup(buffer), isBadRequest(/at most 1 MB/));
+  });
+});
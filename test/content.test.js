@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeHtml, processContent } = require('../src/utils/content');
+
+describe('sanitizeHtml', () => {
+  it('removes scripts, event handlers and unsafe links', () => {
+    const html = sanitizeHtml('<p onclick="steal()">Hi<script>alert(1)</script></p><a href="javascript:alert(1)">x</a><img src="x" onerror="alert(1)">');
+    assert.equal(html, '<p>Hi</p><a>x</a><img src="x" />');
+  });
+
+  it('keeps task list checkboxes but no other inputs', () => {
+    assert.equal(sanitizeHtml('<input type="checkbox" checked disabled>'), '<input type="checkbox" checked disabled />');
+    for (const type of ['text', 'password', 'hidden', 'submit']) {
+      assert.equal(sanitizeHtml(`<p>a<input type="${type}" name="x" value="y">b</p>`), '<p>ab</p>');
+    }
+    assert.equal(sanitizeHtml('<input>'), '');
+  });
+
+  it('adds rel="noopener noreferrer" to links opening a new window', () => {
+    assert.equal(
+      sanitizeHtml('<a href="https://example.com" target="_blank">x</a>'),
+      '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+  });
+
+  it('only keeps language classes on code', () => {
+    assert.equal(sanitizeHtml('<code class="language-js evil">x</code>'), '<code class="language-js">x</code>');
+  });
+});
+
+describe('processContent', () => {
+  it('renders Markdown task lists as disabled checkboxes', () => {
+    const { html } = processContent('- [x] done\n- [ ] todo', 'markdown');
+    assert.match(html, /<input checked disabled type="checkbox" \/> done/);
+    assert.match(html, /<input disabled type="checkbox" \/> todo/);
+  });
+
+  it('sanitizes raw HTML inside Markdown', () => {
+    const { html } = processContent('Hello <script>alert(1)</script><input type="text">', 'markdown');
+    assert.doesNotMatch(html, /script|type="text"/);
+  });
+});
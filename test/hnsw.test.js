@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHnsw, normalize } = require('../src/vector/hnsw');
+const { createMockProvider } = require('../src/providers/mock');
+const { cosineSim } = require('../src/utils/ai');
+
+// Deterministic pseudo-random numbers so failures can be reproduced
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296 - 0.5;
+  };
+}
+
+function vectors(count, dimensions, seed = 1) {
+  const next = random(seed);
+  return Array.from({ length: count }, () => Array.from({ length: dimensions }, next));
+}
+
+// Exact nearest neighbours by cosine similarity
+function bruteForce(all, query, k) {
+  return all
+    .map((vector, i) => ({ id: `v${i}`, score: cosineSim(vector, query) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+describe('createHnsw', () => {
+  const data = vectors(300, 16);
+
+  function build() {
+    const graph = createHnsw({ M: 8, efConstruction: 100, efSearch: 50 });
+    data.forEach((vector, i) => graph.add(`v${i}`, vector, { even: i % 2 === 0 }));
+    return graph;
+  }
+
+  it('finds the nearest neighbours', () => {
+    const graph = build();
+    for (const query of vectors(20, 16, 7)) {
+      const found = graph.search(query, { k: 5 }).map(hit => hit.id);
+      const exact = bruteForce(data, query, 5).map(hit => hit.id);
+      assert.equal(found[0], exact[0]);
+      assert.ok(found.filter(id => exact.includes(id)).length >= 4);
+    }
+  });
+
+  it('scores hits by cosine similarity, best first', () => {
+    const graph = build();
+    const hits = graph.search(data[3], { k: 3 });
+    assert.equal(hits[0].id, 'v3');
+    assert.ok(Math.abs(hits[0].score - 1) < 1e-9);
+    assert.ok(hits[0].score >= hits[1].score && hits[1].score >= hits[2].score);
+  });
+
+  it('applies filters and minScore', () => {
+    const graph = build();
+    const hits = graph.search(data[3], { k: 10, filter: meta => meta.even });
+    assert.equal(hits.length, 10);
+    assert.ok(hits.every(hit => hit.meta.even));
+    assert.ok(graph.search(data[3], { k: 10, minScore: 0.99 }).every(hit => hit.score >= 0.99));
+  });
+
+  it('skips removed nodes and drops them on compaction', () => {
+    const graph = build();
+    graph.remove('v3');
+    assert.equal(graph.has('v3'), false);
+    assert.equal(graph.size, 299);
+    assert.notEqual(graph.search(data[3], { k: 1 })[0].id, 'v3');
+
+    graph.compact();
+    assert.equal(graph.size, 299);
+    assert.equal(graph.ids().includes('v3'), false);
+  });
+
+  it('survives a JSON round trip', () => {
+    const graph = build();
+    const copy = createHnsw({ M: 8 });
+    copy.load(JSON.parse(JSON.stringify(graph.toJSON())));
+    assert.equal(copy.size, graph.size);
+    assert.deepEqual(copy.search(data[10], { k: 5 }), graph.search(data[10], { k: 5 }));
+  });
+
+  it('returns nothing when empty', () => {
+    assert.deepEqual(createHnsw().search([1, 0]), []);
+  });
+
+  it('ranks mock embeddings of related texts first', async () => {
+    const provider = createMockProvider(createMockProvider.defaults);
+    const texts = ['deploy to staging', 'quarterly budget review', 'staging deploy checklist', 'team lunch menu'];
+    const graph = createHnsw();
+    for (const [i, text] of texts.entries()) graph.add(i, await provider.embed(text), { text });
+
+    const hits = graph.search(await provider.embed('how to deploy staging'), { k: 2 });
+    assert.deepEqual(hits.map(hit => hit.meta.text).sort(), ['deploy to staging', 'staging deploy checklist']);
+  });
+});
+
+describe('normalize', () => {
+  it('scales vectors to unit length and leaves zero vectors alone', () => {
+    assert.deepEqual(normalize([3, 4]), [0.6, 0.8]);
+    assert.deepEqual(normalize([0, 0]), [0, 0]);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+
+process.env.IMPORT_MAX_MB = '1';
+const { parseFile, expandUpload, splitFrontMatter } = require('../src/utils/importer');
+
+function upload(name, content, mimetype = 'text/plain') {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  return { originalname: name, mimetype, size: buffer.length, buffer };
+}
+
+function zipOf(files) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) zip.addFile(name, Buffer.from(content));
+  return zip.toBuffer();
+}
+
+// Rewrite the uncompressed size an archive's only entry declares, in its local
+// and central directory headers
+function declareSize(archive, size) {
+  const patched = Buffer.from(archive);
+  patched.writeUInt32LE(size, patched.indexOf(Buffer.from([0x50, 0x4b, 0x03, 0x04])) + 22);
+  patched.writeUInt32LE(size, patched.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+  return patched;
+}
+
+const isBadRequest = (pattern) => (err) => err.status === 400 && pattern.test(err.message);
+
+describe('parseFile', () => {
+  it('takes the title and tags from front-matter', () => {
+    const text = '---\ntitle: Runbook\ntags: [ops, deploy, ops]\n---\n# Heading\n\nSteps';
+    assert.deepEqual(parseFile('team/runbook.md', Buffer.from(text), { folder: 'imported' }), {
+      title: 'Runbook',
+      content: '# Heading\n\nSteps',
+      format: 'markdown',
+      tags: ['ops', 'deploy'],
+      folder: 'imported/team'
+    });
+  });
+
+  it('falls back to the first heading, then the file name', () => {
+    assert.equal(parseFile('a.md', Buffer.from('# From heading\ntext')).title, 'From heading');
+    assert.equal(parseFile('notes.txt', Buffer.from('just text')).title, 'notes');
+    assert.equal(parseFile('page.html', Buffer.from('<html><head><title>Page</title></head><body><p>Hi</p></body></html>')).content, '<p>Hi</p>');
+  });
+
+  it('rejects unsupported, binary and empty files', () => {
+    assert.throws(() => parseFile('image.png', Buffer.from('x')), err => err.skipped === true);
+    assert.throws(() => parseFile('a.txt', Buffer.from([104, 0, 105])), /Not a text file/);
+    assert.throws(() => parseFile('a.md', Buffer.from('---\ntitle: x\n---\n')), /empty/);
+    assert.throws(() => splitFrontMatter('---\ntitle: [\n---\nbody'), /Invalid front-matter/);
+  });
+});
+
+describe('expandUpload', () => {
+  it('unpacks archives, skipping hidden files and paths that climb out', () => {
+    const archive = zipOf({
+      'docs/a.md': 'A',
+      '__MACOSX/docs/._a.md': 'junk',
+      '.hidden.md': 'hidden',
+      '../../escape.md': 'E'
+    });
+    const entries = expandUpload([upload('bundle.zip', archive, 'application/zip'), upload('b.txt', 'B')]);
+    assert.deepEqual(entries.map(e => [e.path, e.buffer.toString()]).sort(), [
+      ['b.txt', 'B'],
+      ['docs/a.md', 'A'],
+      ['escape.md', 'E']
+    ]);
+  });
+
+  it('rejects archives that are not ZIP files', () => {
+    assert.throws(() => expandUpload([upload('bad.zip', 'not a zip', 'application/zip')]), isBadRequest(/not a valid ZIP/));
+  });
+
+  it('counts the declared size of entries against the limit', () => {
+    const archive = zipOf({ 'big.txt': 'x'.repeat(2 * 1024 * 1024) });
+    assert.throws(() => expandUpload([upload('big.zip', archive, 'application/zip')]), isBadRequest(/at most 1 MB/));
+  });
+
+  it('stops inflating entries that declare a smaller size than they hold', () => {
+    const archive = declareSize(zipOf({ 'bomb.txt': '\0'.repeat(20 * 1024 * 1024) }), 0);
+    assert.ok(archive.length < 100 * 1024);
+    assert.throws(() => expandUpload([upload('bomb.zip', archive, 'application/zip')]), isBadRequest(/at most 1 MB/));
+
+    const small = declareSize(zipOf({ 'a.txt': 'hello world' }), 0);
+    assert.throws(() => expandUpload([upload('a.zip', small, 'application/zip')]), isBadRequest(/a.txt is damaged/));
+  });
+
+  it('rejects entries that fail their checksum', () => {
+    const archive = zipOf({ 'a.txt': 'hello world' });
+    const crc = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 16;
+    archive.writeUInt32LE(archive.readUInt32LE(crc) ^ 1, crc);
+    assert.throws(() => expandUpload([upload('a.zip', archive, 'application/zip')]), isBadRequest(/a.txt is damaged/));
+  });
+});
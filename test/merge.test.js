@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeText, mergeTags, mergeDocumentEdit } = require('../src/utils/merge');
+
+const base = 'one\ntwo\nthree\nfour\nfive\n';
+
+describe('mergeText', () => {
+  it('takes the only side that changed', () => {
+    assert.deepEqual(mergeText(base, base, 'changed\n'), { merged: 'changed\n', conflicts: [] });
+    assert.deepEqual(mergeText(base, 'changed\n', base), { merged: 'changed\n', conflicts: [] });
+  });
+
+  it('combines edits to different lines', () => {
+    const mine = 'ONE\ntwo\nthree\nfour\nfive\n';
+    const theirs = 'one\ntwo\nthree\nfour\nFIVE\nsix\n';
+    assert.deepEqual(mergeText(base, mine, theirs), {
+      merged: 'ONE\ntwo\nthree\nfour\nFIVE\nsix\n',
+      conflicts: []
+    });
+  });
+
+  it('accepts the same edit made on both sides', () => {
+    const edited = 'one\nTWO\nthree\nfour\nfive\n';
+    const mine = `${edited}six\n`;
+    const theirs = `zero\n${edited}`;
+    assert.equal(mergeText(base, mine, theirs).merged, `zero\n${edited}six\n`);
+  });
+
+  it('reports overlapping edits that disagree as conflicts', () => {
+    const result = mergeText(base, 'one\nmine\nthree\nfour\nfive\n', 'one\ntheirs\nthree\nfour\nfive\n');
+    assert.equal(result.merged, null);
+    assert.deepEqual(result.conflicts, [{
+      baseStartLine: 2,
+      baseEndLine: 2,
+      base: 'two\n',
+      mine: 'mine\n',
+      theirs: 'theirs\n'
+    }]);
+  });
+
+  it('conflicts when both sides insert different lines at the same place', () => {
+    const result = mergeText(base, 'one\nA\ntwo\nthree\nfour\nfive\n', 'one\nB\ntwo\nthree\nfour\nfive\n');
+    assert.equal(result.conflicts.length, 1);
+    assert.equal(result.conflicts[0].mine, 'A\n');
+    assert.equal(result.conflicts[0].theirs, 'B\n');
+  });
+});
+
+describe('mergeTags', () => {
+  it('applies my additions and removals to their tags', () => {
+    assert.deepEqual(mergeTags(['a', 'b'], ['b', 'c'], ['a', 'b', 'd']), ['b', 'd', 'c']);
+  });
+});
+
+describe('mergeDocumentEdit', () => {
+  const doc = { title: 'Title', content: base, tags: ['a'] };
+
+  it('merges fields that were not edited from the current state', () => {
+    const current = { title: 'New title', content: base, tags: ['a', 'b'] };
+    const { values, conflicts } = mergeDocumentEdit(doc, current, { content: `${base}six\n` });
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(values, { title: 'New title', content: `${base}six\n`, tags: ['a', 'b'] });
+  });
+
+  it('reports a title changed differently on both sides', () => {
+    const current = { ...doc, title: 'Theirs' };
+    const { conflicts } = mergeDocumentEdit(doc, current, { title: 'Mine' });
+    assert.deepEqual(conflicts, [{ field: 'title', base: 'Title', mine: 'Mine', theirs: 'Theirs' }]);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Job = require('../src/models/Job');
+const Document = require('../src/models/Document');
+const queue = require('../src/jobs/queue');
+
+// The queue's writes are stubbed: each test decides whether the lock still holds
+describe('job queue', () => {
+  const original = { jobUpdate: Job.updateOne, documentUpdate: Document.updateOne };
+  let lockHeld;
+  let writes;
+
+  beforeEach(() => {
+    lockHeld = true;
+    writes = [];
+    Job.updateOne = async (filter, update) => {
+      writes.push({ filter, update });
+      return { matchedCount: lockHeld ? 1 : 0 };
+    };
+    Document.updateOne = async () => ({ matchedCount: 1 });
+  });
+
+  afterEach(() => {
+    Job.updateOne = original.jobUpdate;
+    Document.updateOne = original.documentUpdate;
+  });
+
+  function runningJob(fields = {}) {
+    return new Job({
+      type: 'enrich',
+      status: 'running',
+      attempts: 1,
+      maxAttempts: 3,
+      lockedBy: 'worker-1',
+      lockedAt: new Date(),
+      document: new mongoose.Types.ObjectId(),
+      ...fields
+    });
+  }
+
+  it('schedules a retry with backoff while attempts remain', async () => {
+    const job = runningJob();
+    const before = Date.now();
+    assert.equal(await queue.fail(job, new Error('boom')), job);
+
+    assert.deepEqual(writes[0].filter, { _id: job._id, lockedBy: 'worker-1', status: 'running' });
+    assert.equal(job.status, 'pending');
+    assert.equal(job.lastError, 'boom');
+    assert.equal(job.lockedBy, null);
+    assert.ok(job.runAt.getTime() > before);
+    assert.deepEqual(job.failures.map(f => ({ attempt: f.attempt, message: f.message })), [{ attempt: 1, message: 'boom' }]);
+  });
+
+  it('dead-letters a job on its last attempt', async () => {
+    const job = runningJob({ attempts: 3 });
+    await queue.fail(job, new Error('still broken'));
+    assert.equal(job.status, 'failed');
+    assert.ok(job.deadLetteredAt instanceof Date);
+    assert.ok(job.finishedAt instanceof Date);
+  });
+
+  it('dead-letters permanent errors at once', async () => {
+    const job = runningJob();
+    await queue.fail(job, Object.assign(new Error('bad input'), { permanent: true }));
+    assert.equal(job.status, 'failed');
+  });
+
+  it('defers errors with retryAt without using an attempt', async () => {
+    const job = runningJob({ attempts: 2 });
+    const retryAt = new Date(Date.now() + 60 * 1000);
+    await queue.fail(job, Object.assign(new Error('quota'), { retryAt }));
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 1);
+    assert.deepEqual(job.runAt, retryAt);
+  });
+
+  it('records a result only while holding the lock', async () => {
+    const job = runningJob();
+    assert.equal(await queue.complete(job, { ok: true }), job);
+    assert.equal(job.status, 'done');
+    assert.deepEqual(job.result, { ok: true });
+
+    lockHeld = false;
+    const stolen = runningJob();
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.equal(await queue.complete(stolen, { ok: true }), null);
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(stolen.status, 'running');
+  });
+
+  it('leaves a job alone when failing it after losing the lock', async () => {
+    lockHeld = false;
+    const job = runningJob();
+    assert.equal(await queue.fail(job, new Error('late')), null);
+    assert.equal(job.status, 'running');
+    assert.equal(job.failures.length, 0);
+  });
+
+  it('stops a heartbeat once the lock is lost', async () => {
+    lockHeld = false;
+    await assert.rejects(queue.heartbeat(runningJob(), { processed: 1 }), err => err.lockLost === true);
+  });
+
+  it('doubles the backoff per attempt, with jitter and a cap', () => {
+    for (const attempts of [1, 2, 3]) {
+      const delay = queue.backoffDelay(attempts, 1000);
+      const expected = 1000 * 2 ** (attempts - 1);
+      assert.ok(delay >= expected && delay <= expected * 1.2, `attempt ${attempts}: ${delay}`);
+    }
+    assert.ok(queue.backoffDelay(50, 1000) <= 60 * 60 * 1000 * 1.2);
+  });
+});
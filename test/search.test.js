@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, freeText, textSearchString } = require('../src/utils/queryParser');
+const { matcherFor, highlight, buildSnippets } = require('../src/utils/snippets');
+
+describe('parseQuery', () => {
+  it('splits terms, phrases and exclusions', () => {
+    const parsed = parseQuery('deploy "staging server" -draft -"old notes"');
+    assert.deepEqual(parsed.terms, ['deploy']);
+    assert.deepEqual(parsed.phrases, ['staging server']);
+    assert.deepEqual(parsed.excludedTerms, ['draft']);
+    assert.deepEqual(parsed.excludedPhrases, ['old notes']);
+    assert.equal(freeText(parsed), 'deploy staging server');
+    assert.equal(textSearchString(parsed), 'deploy "staging server" -draft -"old notes"');
+  });
+
+  it('parses filters, quoted values and negation', () => {
+    const { filters } = parseQuery('tag:"release notes" author:alice -tag:archived');
+    assert.deepEqual(filters, [
+      { field: 'tag', value: 'release notes', negated: false },
+      { field: 'author', value: 'alice', negated: false },
+      { field: 'tag', value: 'archived', negated: true }
+    ]);
+  });
+
+  it('turns dates into conditions, with whole days inclusive', () => {
+    const day = (d) => new Date(`${d}T00:00:00.000Z`);
+    const value = (q) => parseQuery(q).filters[0].value;
+    assert.deepEqual(value('updated:2026-01-01'), { $gte: day('2026-01-01'), $lt: day('2026-01-02') });
+    assert.deepEqual(value('updated:>2026-01-01'), { $gte: day('2026-01-02') });
+    assert.deepEqual(value('created:<=2026-03-31'), { $lt: day('2026-04-01') });
+    assert.deepEqual(value('created:2026-01-01..2026-02-01'), { $gte: day('2026-01-01'), $lt: day('2026-02-02') });
+  });
+
+  it('treats unknown "word:" prefixes as terms', () => {
+    const parsed = parseQuery('see https://example.com/docs note: -color:red');
+    assert.deepEqual(parsed.terms, ['see', 'https://example.com/docs', 'note:']);
+    assert.deepEqual(parsed.excludedTerms, ['color:red']);
+    assert.deepEqual(parsed.filters, []);
+  });
+
+  it('has no text search without positive terms', () => {
+    assert.equal(textSearchString(parseQuery('-draft tag:x')), null);
+  });
+
+  it('points syntax errors at the offending token', () => {
+    const cases = [
+      ['deploy "unterminated', '"unterminated', 7],
+      ['updated:yesterday', 'updated:yesterday', 0],
+      ['tag:', 'tag:', 0],
+      ['x -', '-', 2]
+    ];
+    for (const [q, token, position] of cases) {
+      assert.throws(() => parseQuery(q), err => err.status === 400 && err.token === token && err.position === position, q);
+    }
+  });
+});
+
+describe('snippets', () => {
+  const matcher = matcherFor({ terms: ['deploy'], phrases: ['staging server'] });
+
+  it('highlights prefixes and phrases and escapes HTML', () => {
+    assert.equal(
+      highlight('<b>Deploying</b> to the staging  server', matcher),
+      '&lt;b&gt;<mark>Deploying</mark>&lt;/b&gt; to the <mark>staging  server</mark>'
+    );
+  });
+
+  it('builds windows around matches with offsets into the text', () => {
+    const text = `${'filler words here '.repeat(20)}we deploy on friday ${'more filler text '.repeat(20)}`;
+    const [snippet, ...rest] = buildSnippets(text, matcher, { size: 60 });
+    assert.equal(rest.length, 0);
+    assert.match(snippet.text, /^….*<mark>deploy<\/mark>.*…$/);
+    assert.ok(text.slice(snippet.start, snippet.end).includes('deploy'));
+  });
+
+  it('picks the densest windows among many matches', () => {
+    const text = `${'deploy '.repeat(20000)}end`;
+    const snippets = buildSnippets(text, matcher, { size: 60 });
+    assert.equal(snippets.length, 3);
+    snippets.slice(1).forEach((s, i) => assert.ok(s.start >= snippets[i].end));
+    assert.ok(snippets.every(s => (s.text.match(/<mark>/g) || []).length >= 8));
+  });
+
+  it('falls back to the start of the text without matches', () => {
+    const [snippet] = buildSnippets('Nothing relevant here', matcher);
+    assert.deepEqual(snippet, { text: 'Nothing relevant here', start: 0, end: 21 });
+  });
+});